@@ -0,0 +1,171 @@
+'use strict';
+
+var fs = require('fs');
+var Module = require('module');
+var path = require('path');
+var prfl = require('./prfl');
+
+for (var key in prfl) {
+  if (prfl.hasOwnProperty(key)) {
+    exports[key] = prfl[key];
+  }
+}
+
+exports.collectSamples = collectSamples;
+exports.instrumentRequire = instrumentRequire;
+exports.loadBudget = loadBudget;
+exports.reportToParent = reportToParent;
+
+var messageType = 'prfl:samples';
+
+function getModuleName(root, filename) {
+  return path.relative(root, filename).split(path.sep).join('/').replace(/\.[cm]?js$/, '');
+}
+
+function loadBudget(filename) {
+  var budgets = JSON.parse(fs.readFileSync(path.resolve(filename), 'utf8'));
+  if (budgets === null || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw TypeError('Expected budget file to contain an object: ' + filename);
+  }
+
+  return budgets;
+}
+
+function instrumentRequire(profiler, options) {
+  options = options || {};
+  var root = path.resolve(options.root || process.cwd());
+  var include = options.include || '**';
+  var exclude = options.exclude || ['node_modules/**', '**/node_modules/**'];
+  var originalLoad = Module._load;
+  var instrumented = [];
+
+  // proxies keep exported classes constructible
+  var wrapOptions = {proxy: true};
+  for (var key in options.wrapOptions) {
+    if (options.wrapOptions.hasOwnProperty(key)) {
+      wrapOptions[key] = options.wrapOptions[key];
+    }
+  }
+
+  function findInstrumented(filename) {
+    for (var i = 0, len = instrumented.length; i < len; i++) {
+      if (instrumented[i].filename === filename) {
+        return instrumented[i];
+      }
+    }
+  }
+
+  function instrument(filename, moduleExports) {
+    var name = getModuleName(root, filename);
+    if (name.indexOf('..') === 0 ||
+        !prfl.matchesPatterns(name, include, '/') || prfl.matchesPatterns(name, exclude, '/')) {
+      return moduleExports;
+    }
+
+    // inside a require cycle, the exports are still incomplete: they are instrumented
+    // when the outermost `require()` of the module returns
+    var cached = Module._cache[filename];
+    if (cached && !cached.loaded) {
+      return moduleExports;
+    }
+
+    var entry = findInstrumented(filename);
+    if (entry && entry.exports === moduleExports) {
+      return moduleExports;
+    }
+
+    // exported functions can't be replaced in place, so the cache is updated
+    var wrapped = moduleExports;
+    if (typeof moduleExports === 'function') {
+      wrapped = profiler.wrapFunction(name, moduleExports, wrapOptions);
+      if (cached) {
+        cached.exports = wrapped;
+      }
+    }
+    else if (moduleExports !== null && typeof moduleExports === 'object') {
+      profiler.wrapObject(name, moduleExports, wrapOptions);
+    }
+
+    instrumented.push({filename: filename, name: name, original: moduleExports, exports: wrapped});
+    return wrapped;
+  }
+
+  Module._load = function(request, parent, isMain) {
+    var moduleExports = originalLoad.apply(this, arguments);
+
+    var filename;
+    try {
+      filename = Module._resolveFilename(request, parent, isMain);
+    } catch (e) {
+      return moduleExports;
+    }
+
+    // built-in modules don't resolve to absolute paths
+    return path.isAbsolute(filename) ? instrument(filename, moduleExports) : moduleExports;
+  };
+
+  return function teardown() {
+    Module._load = originalLoad;
+
+    for (var i = instrumented.length - 1; i >= 0; i--) {
+      var entry = instrumented[i];
+      profiler.unwrap(entry.name);
+
+      var cached = Module._cache[entry.filename];
+      if (cached && cached.exports === entry.exports) {
+        cached.exports = entry.original;
+      }
+    }
+    instrumented.length = 0;
+  };
+}
+
+function getSourceName() {
+  var threadId = require('worker_threads').threadId;
+  return 'pid ' + process.pid + (threadId ? ' thread ' + threadId : '');
+}
+
+// in a worker thread or forked process: send the samples to the parent on exit
+function reportToParent(profiler, sessionName) {
+  var parentPort = require('worker_threads').parentPort;
+  if (!parentPort && typeof process.send !== 'function') {
+    throw Error('Samples can only be reported from worker threads and child processes with an IPC channel');
+  }
+
+  var sent = false;
+  function send() {
+    if (!sent) {
+      sent = true;
+      var message = {type: messageType, data: profiler.getTransfer(getSourceName(), sessionName)};
+      if (parentPort) {
+        parentPort.postMessage(message);
+      }
+      else {
+        process.send(message);
+      }
+    }
+  }
+
+  process.on('exit', send);
+  return send;
+}
+
+// in the parent: import samples reported by a worker thread or child process
+function collectSamples(profiler, worker, sessionName) {
+  return new Promise(function(resolve, reject) {
+    worker.on('message', function(message) {
+      if (message && message.type === messageType) {
+        try {
+          profiler['import'](message.data, sessionName);
+        } catch (e) {
+          reject(e);
+        }
+      }
+    });
+
+    // child processes emit `close` once all of their messages have been received
+    worker.once(typeof worker.threadId === 'number' ? 'exit' : 'close', function() {
+      resolve(profiler);
+    });
+  });
+}
@@ -2,63 +2,2259 @@
   'use strict';
 
   exports.Profiler = Profiler;
+  exports.StreamingSeries = StreamingSeries;
+  exports.bench = bench;
+  exports.clocks = {
+    date: dateClock,
+    fake: fakeClock,
+    hrtime: hrtimeClock,
+    performance: performanceClock
+  };
+  exports.compare = compare;
+  exports.extendExpect = extendExpect;
+  exports.globToRegExp = globToRegExp;
   exports.keys = keys;
+  exports.matchesPatterns = matchesPatterns;
+  exports.renderFlameGraph = renderFlameGraph;
+  exports.renderHtml = renderHtml;
+  exports.renderText = renderText;
+  exports.snapshotVersion = 1;
+  exports.transferVersion = 1;
+
+  function keys(object) {
+    if (object === null || typeof object !== 'object') {
+      throw TypeError('keys called on non-object');
+    }
+
+    var keys = [];
+    for (var key in object) {
+      if (object.hasOwnProperty(key)) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  }
+
+  function dateClock() {
+    return {
+      name: 'date',
+      unit: 'ms',
+      now: Date.now || function() { return new Date().getTime(); }
+    };
+  }
+
+  function fakeClock(time) {
+    var clock = {
+      name: 'fake',
+      unit: 'ms',
+      time: time || 0,
+      now: function() { return clock.time; },
+      tick: function(delta) { clock.time += delta; }
+    };
+
+    return clock;
+  }
+
+  function hrtimeClock() {
+    if (typeof process === 'undefined' || typeof process.hrtime !== 'function') {
+      return null;
+    }
+
+    // measure relative to an origin to keep full precision in a double
+    var hrtime = process.hrtime, origin = hrtime();
+    return {
+      name: 'hrtime',
+      unit: 'ms',
+      now: function() {
+        var time = hrtime(origin);
+        return time[0] * 1e3 + time[1] / 1e6;
+      }
+    };
+  }
+
+  function performanceClock() {
+    if (typeof performance === 'undefined' || typeof performance.now !== 'function') {
+      return null;
+    }
+
+    return {
+      name: 'performance',
+      unit: 'ms',
+      now: function() { return performance.now(); }
+    };
+  }
+
+  function getHeapMeter() {
+    if (typeof process !== 'undefined' && typeof process.memoryUsage === 'function') {
+      return function() { return process.memoryUsage().heapUsed; };
+    }
+
+    // non-standard, only available in Chromium based browsers
+    if (typeof performance !== 'undefined' && performance.memory) {
+      return function() { return performance.memory.usedJSHeapSize; };
+    }
+
+    return null;
+  }
+
+  function getErrorType(error) {
+    if (error === null || (typeof error !== 'object' && typeof error !== 'function')) {
+      return typeof error;
+    }
+
+    var constructor = error.constructor;
+    if (typeof constructor !== 'function') {
+      return 'Object';
+    }
+
+    return constructor.name || (/^\s*function\s*([\w$]*)/.exec(constructor) || [])[1] || 'anonymous';
+  }
+
+  function escapeRegExp(string) {
+    return string.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+  }
+
+  function globToRegExp(glob, separator) {
+    if (typeof glob !== 'string') {
+      throw TypeError('Expected string as first argument, but received a ' + typeof glob);
+    }
+
+    // `*` and `?` don't match the separator, `**` matches anything
+    var notSeparator = '[^' + escapeRegExp(separator || '.') + ']';
+    var source = '';
+    for (var i = 0, len = glob.length; i < len; i++) {
+      var character = glob.charAt(i);
+      if (character === '*' && glob.charAt(i + 1) === '*') {
+        source += '.*';
+        i += 1;
+      }
+      else if (character === '*') {
+        source += notSeparator + '*';
+      }
+      else if (character === '?') {
+        source += notSeparator;
+      }
+      else {
+        source += escapeRegExp(character);
+      }
+    }
+
+    return RegExp('^' + source + '$');
+  }
+
+  function matchesPatterns(name, patterns, separator) {
+    patterns = [].concat(patterns);
+    for (var i = 0, len = patterns.length; i < len; i++) {
+      var pattern = patterns[i];
+      if (typeof pattern === 'string') {
+        pattern = globToRegExp(pattern, separator);
+      }
+
+      pattern.lastIndex = 0;
+      if (pattern.test(name)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  function quantile(sorted, q) {
+    var length = sorted.length;
+    if (length === 0) {
+      return void 0;
+    }
+
+    // linear interpolation between the closest ranks
+    var position = (length - 1) * q, lower = Math.floor(position);
+    return lower + 1 < length
+      ? sorted[lower] + (sorted[lower + 1] - sorted[lower]) * (position - lower)
+      : sorted[lower];
+  }
+
+  function logGamma(x) {
+    // Lanczos approximation
+    var coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    var y = x, series = 1.000000000190015, tmp = x + 5.5;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    for (var i = 0; i < coefficients.length; i++) {
+      series += coefficients[i] / ++y;
+    }
+
+    return Math.log(2.5066282746310005 * series / x) - tmp;
+  }
+
+  function betaContinuedFraction(x, a, b) {
+    var tiny = 1e-30, c = 1, d = 1 - (a + b) * x / (a + 1), h, m;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    h = d;
+    for (m = 1; m <= 300; m++) {
+      var even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+      d = 1 + even * d;
+      c = 1 + even / c;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = Math.abs(c) < tiny ? tiny : c;
+      h *= d * c;
+
+      var odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+      d = 1 + odd * d;
+      c = 1 + odd / c;
+      d = 1 / (Math.abs(d) < tiny ? tiny : d);
+      c = Math.abs(c) < tiny ? tiny : c;
+      h *= d * c;
+      if (Math.abs(d * c - 1) < 1e-12) {
+        break;
+      }
+    }
+
+    return h;
+  }
+
+  // regularized incomplete beta function
+  function incompleteBeta(x, a, b) {
+    if (x <= 0 || x >= 1) {
+      return x <= 0 ? 0 : 1;
+    }
+
+    var front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+      ? front * betaContinuedFraction(x, a, b) / a
+      : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+  }
+
+  // probability of a Student's t distributed value being further from zero than `t`
+  function studentTTail(t, degreesOfFreedom) {
+    return incompleteBeta(degreesOfFreedom / (degreesOfFreedom + t * t), degreesOfFreedom / 2, 0.5);
+  }
+
+  var studentTQuantiles = {};
+  function studentTQuantile(confidence, degreesOfFreedom) {
+    // beyond 1000 degrees of freedom, quantiles change by less than 0.1%
+    degreesOfFreedom = Math.min(degreesOfFreedom, 1000);
+    var key = confidence + ':' + degreesOfFreedom;
+    if (studentTQuantiles.hasOwnProperty(key)) {
+      return studentTQuantiles[key];
+    }
+
+    // two-sided quantile found by bisection
+    var low = 0, high = 1, alpha = 1 - confidence;
+    while (studentTTail(high, degreesOfFreedom) > alpha) {
+      high *= 2;
+    }
+    for (var i = 0; i < 60; i++) {
+      var middle = (low + high) / 2;
+      if (studentTTail(middle, degreesOfFreedom) > alpha) {
+        low = middle;
+      }
+      else {
+        high = middle;
+      }
+    }
+
+    return (studentTQuantiles[key] = (low + high) / 2);
+  }
+
+  function histogram(sorted, min, max, numBuckets, scale) {
+    var buckets = [];
+    if (sorted.length === 0) {
+      return buckets;
+    }
+
+    var width = (max - min) / numBuckets || 0, i;
+    for (i = 0; i < numBuckets; i++) {
+      buckets.push({from: min + i * width, to: i === numBuckets - 1 ? max : min + (i + 1) * width, count: 0});
+    }
+
+    for (i = 0; i < sorted.length; i++) {
+      var index = width ? Math.min(Math.floor((sorted[i] - min) / width), numBuckets - 1) : 0;
+      buckets[Math.max(index, 0)].count += 1;
+    }
+
+    // approximated histograms are scaled to the total number of samples
+    if (scale !== 1) {
+      for (i = 0; i < numBuckets; i++) {
+        buckets[i].count = Math.round(buckets[i].count * scale);
+      }
+    }
+
+    return buckets;
+  }
+
+  function createTimeline(events) {
+    var sorted = [], i, len;
+    for (i = 0, len = events.length; i < len; i++) {
+      sorted.push({event: events[i], index: i});
+    }
+
+    // events are logged on completion, so outer calls are sorted before
+    // inner ones with the same start time
+    sorted.sort(function(a, b) {
+      return a.event.start - b.event.start ||
+        a.event.depth - b.event.depth ||
+        a.index - b.index;
+    });
+
+    var timeline = [], stack = [];
+    function end() {
+      var event = stack.pop();
+      timeline.push({phase: 'E', time: event.start + event.duration, event: event});
+    }
+
+    for (i = 0, len = sorted.length; i < len; i++) {
+      var event = sorted[i].event;
+
+      // calls on the same or a deeper level have ended before this one began
+      while (stack.length && stack[stack.length - 1].depth >= event.depth) {
+        end();
+      }
+      timeline.push({phase: 'B', time: event.start, event: event});
+      stack.push(event);
+    }
+
+    while (stack.length) {
+      end();
+    }
+
+    return timeline;
+  }
+
+  function getProcessId() {
+    return typeof process !== 'undefined' && process.pid || 1;
+  }
+
+  function sortNumbers(values) {
+    return values.slice().sort(function(a, b) { return a - b; });
+  }
+
+  function hasNamePrefix(name, prefix) {
+    return name === prefix ||
+      name.indexOf(prefix + '.') === 0 ||
+      name.indexOf(prefix + ' [') === 0;
+  }
+
+  function isThenable(value) {
+    return value !== null &&
+      (typeof value === 'object' || typeof value === 'function') &&
+      typeof value.then === 'function';
+  }
+
+  // native promises are replaced by a chained promise, so that unhandled rejections stay unhandled,
+  // other thenables can have their own API or run lazily and are returned as they are
+  function observeThenable(thenable, onFulfilled, onRejected) {
+    if (typeof Promise === 'function' && thenable instanceof Promise) {
+      return thenable.then(function(value) {
+        onFulfilled(value);
+        return value;
+      }, function(error) {
+        onRejected(error);
+        throw error;
+      });
+    }
+
+    thenable.then(onFulfilled, onRejected);
+    return thenable;
+  }
+
+  function isGeneratorFunction(func) {
+    var constructor = func.constructor;
+    return typeof constructor === 'function' &&
+      (constructor.name === 'GeneratorFunction' || constructor.name === 'AsyncGeneratorFunction');
+  }
+
+  function getPath(object, path) {
+    var parts = path.split('.');
+    for (var i = 0, len = parts.length; i < len && object !== null && object !== void 0; i++) {
+      object = object[parts[i]];
+    }
+
+    return object;
+  }
+
+  function splitName(name) {
+    // dots inside of brackets (e.g. `[get]`) don't separate names
+    var bracket = name.indexOf('[');
+    var index = (bracket === -1 ? name : name.slice(0, bracket)).lastIndexOf('.');
+    if (index === -1) {
+      return {group: '', label: name};
+    }
+
+    var group = name.slice(0, index).replace(/\.prototype$/, '');
+    return {group: group, label: name.slice(group.length + 1)};
+  }
+
+  // the unit of the clock is known from the metadata of the profiler
+  function getTimeUnit(options) {
+    return options.unit || (options.metadata && options.metadata.unit) || 'ms';
+  }
+
+  function selectEntries(report, options) {
+    var sortBy = options.sortBy || 'selfTime.sum', threshold = options.threshold;
+    var direction = options.order === 'asc' ? 1 : -1, entries = [];
+    for (var name in report) {
+      if (report.hasOwnProperty(name)) {
+        var value = getPath(report[name], sortBy);
+        if (threshold === void 0 || value >= threshold) {
+          entries.push({name: name, entry: report[name], value: value === void 0 ? -Infinity : value});
+        }
+      }
+    }
+
+    entries.sort(function(a, b) {
+      return (a.value - b.value) * direction || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+    });
+
+    return options.limit ? entries.slice(0, options.limit) : entries;
+  }
+
+  function groupEntries(entries) {
+    var groups = [], byName = {};
+    for (var i = 0, len = entries.length; i < len; i++) {
+      var parts = splitName(entries[i].name);
+      if (!byName.hasOwnProperty(parts.group)) {
+        groups.push(byName[parts.group] = {name: parts.group, entries: []});
+      }
+      entries[i].label = parts.label;
+      byName[parts.group].entries.push(entries[i]);
+    }
+
+    return groups;
+  }
+
+  var reportColumns = [
+    {title: 'Calls', key: 'numCalls'},
+    {title: 'Self sum', key: 'selfTime.sum'},
+    {title: 'Self mean', key: 'selfTime.mean'},
+    {title: 'Self median', key: 'selfTime.median'},
+    {title: 'Total sum', key: 'totalTime.sum'},
+    {title: 'Total mean', key: 'totalTime.mean'},
+    {title: 'Total median', key: 'totalTime.median'}
+  ];
+
+  function formatValue(value, key, precision) {
+    if (value === void 0 || value === null) {
+      return '-';
+    }
+
+    return key === 'numCalls' ? String(value) : value.toFixed(precision);
+  }
+
+  function pad(string, width, alignRight) {
+    while (string.length < width) {
+      string = alignRight ? ' ' + string : string + ' ';
+    }
+
+    return string;
+  }
+
+  function renderText(report, options) {
+    options = options || {};
+    var precision = options.precision === void 0 ? 3 : options.precision;
+    var entries = selectEntries(report, options);
+    var groups = options.group === false ? [{name: '', entries: entries}] : groupEntries(entries);
+    var rows = [], nameWidth = 'Function'.length, i, j, k;
+
+    for (i = 0; i < groups.length; i++) {
+      if (groups[i].name) {
+        rows.push({name: groups[i].name});
+      }
+      for (j = 0; j < groups[i].entries.length; j++) {
+        var entry = groups[i].entries[j], cells = [];
+        for (k = 0; k < reportColumns.length; k++) {
+          cells.push(formatValue(getPath(entry.entry, reportColumns[k].key), reportColumns[k].key, precision));
+        }
+        rows.push({name: groups[i].name ? '  ' + entry.label : entry.name, cells: cells});
+      }
+    }
+
+    var widths = [];
+    for (k = 0; k < reportColumns.length; k++) {
+      widths.push(reportColumns[k].title.length);
+    }
+    for (i = 0; i < rows.length; i++) {
+      nameWidth = Math.max(nameWidth, rows[i].name.length);
+      for (k = 0; rows[i].cells && k < rows[i].cells.length; k++) {
+        widths[k] = Math.max(widths[k], rows[i].cells[k].length);
+      }
+    }
+
+    var header = pad('Function', nameWidth);
+    for (k = 0; k < reportColumns.length; k++) {
+      header += '  ' + pad(reportColumns[k].title, widths[k], true);
+    }
+
+    var lines = [header, new Array(header.length + 1).join('-')];
+    for (i = 0; i < rows.length; i++) {
+      var line = pad(rows[i].name, nameWidth);
+      for (k = 0; rows[i].cells && k < rows[i].cells.length; k++) {
+        line += '  ' + pad(rows[i].cells[k], widths[k], true);
+      }
+      lines.push(line.replace(/\s+$/, ''));
+    }
+
+    lines.push('', 'Times in ' + getTimeUnit(options));
+
+    return lines.join('\n') + '\n';
+  }
+
+  function escapeHtml(string) {
+    return String(string)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function renderHtmlCallTree(node, precision) {
+    var html = '', names = [];
+    for (var name in node.children) {
+      if (node.children.hasOwnProperty(name)) {
+        names.push(name);
+      }
+    }
+    names.sort(function(a, b) { return node.children[b].totalTime - node.children[a].totalTime; });
+
+    for (var i = 0, len = names.length; i < len; i++) {
+      var child = node.children[names[i]];
+      var summary = escapeHtml(child.name) +
+        ' <span class="numbers">' + child.calls + ' calls, self ' + child.selfTime.toFixed(precision) +
+        ', total ' + child.totalTime.toFixed(precision) + '</span>';
+      var children = renderHtmlCallTree(child, precision);
+      html += children
+        ? '<li><details><summary>' + summary + '</summary><ul>' + children + '</ul></details></li>'
+        : '<li class="leaf">' + summary + '</li>';
+    }
+
+    return html;
+  }
+
+  function renderHtml(report, options) {
+    options = options || {};
+    var precision = options.precision === void 0 ? 3 : options.precision;
+    var entries = selectEntries(report, options), i, k;
+    var head = '<th data-type="string">Object</th><th data-type="string">Function</th>';
+    for (k = 0; k < reportColumns.length; k++) {
+      head += '<th>' + reportColumns[k].title + '</th>';
+    }
+
+    var body = '';
+    for (i = 0; i < entries.length; i++) {
+      var parts = splitName(entries[i].name);
+      var row = '<td>' + escapeHtml(parts.group) + '</td><td title="' + escapeHtml(entries[i].name) + '">' +
+        escapeHtml(parts.label) + '</td>';
+      for (k = 0; k < reportColumns.length; k++) {
+        var value = getPath(entries[i].entry, reportColumns[k].key);
+        row += '<td data-value="' + (value === void 0 ? '' : value) + '">' +
+          formatValue(value, reportColumns[k].key, precision) + '</td>';
+      }
+      body += '<tr>' + row + '</tr>\n';
+    }
+
+    var callTree = options.callTree
+      ? '<h2>Call tree</h2><ul class="tree">' + renderHtmlCallTree(options.callTree, precision) + '</ul>'
+      : '';
+
+    return [
+      '<!DOCTYPE html>',
+      '<html><head><meta charset="utf-8"><title>' + escapeHtml(options.title || 'prfl report') + '</title>',
+      '<style>',
+      'body{font:13px sans-serif;margin:1em}',
+      'table{border-collapse:collapse}',
+      'th,td{padding:2px 8px;text-align:right;border-bottom:1px solid #ddd}',
+      'th:nth-child(-n+2),td:nth-child(-n+2){text-align:left}',
+      'th{cursor:pointer;background:#f3f3f3}',
+      '.tree,.tree ul{list-style:none;padding-left:1.2em}',
+      '.tree .leaf{padding-left:1em}',
+      '.numbers{color:#777}',
+      '</style></head><body>',
+      '<h1>' + escapeHtml(options.title || 'prfl report') + '</h1>',
+      '<p>Times in ' + escapeHtml(getTimeUnit(options)) + '</p>',
+      '<table id="report"><thead><tr>' + head + '</tr></thead><tbody>',
+      body + '</tbody></table>',
+      callTree,
+      '<script>',
+      '(function() {',
+      '  var table = document.getElementById("report"), headers = table.tHead.rows[0].cells;',
+      '  for (var i = 0; i < headers.length; i++) {',
+      '    headers[i].onclick = sortBy(i, headers[i].getAttribute("data-type") === "string");',
+      '  }',
+      '  function sortBy(column, isString) {',
+      '    var descending = false;',
+      '    return function() {',
+      '      var body = table.tBodies[0], rows = [].slice.call(body.rows);',
+      '      descending = !descending;',
+      '      rows.sort(function(a, b) {',
+      '        var x = a.cells[column], y = b.cells[column], result;',
+      '        if (isString) {',
+      '          result = x.textContent.localeCompare(y.textContent);',
+      '        } else {',
+      '          result = (parseFloat(x.getAttribute("data-value")) || 0) - (parseFloat(y.getAttribute("data-value")) || 0);',
+      '        }',
+      '        return descending ? -result : result;',
+      '      });',
+      '      for (var i = 0; i < rows.length; i++) {',
+      '        body.appendChild(rows[i]);',
+      '      }',
+      '    };',
+      '  }',
+      '}());',
+      '</script>',
+      '</body></html>',
+      ''
+    ].join('\n');
+  }
+
+  function parseFoldedStacks(folded) {
+    var root = {name: 'all', value: 0, children: {}}, lines = String(folded).split('\n'), depth = 0;
+    for (var i = 0, len = lines.length; i < len; i++) {
+      var line = lines[i], separator = line.lastIndexOf(' ');
+      var value = separator === -1 ? NaN : Number(line.slice(separator + 1));
+      if (!(value > 0)) {
+        continue;
+      }
+
+      var frames = line.slice(0, separator).split(';'), node = root;
+      root.value += value;
+      for (var j = 0; j < frames.length; j++) {
+        node = node.children.hasOwnProperty(frames[j])
+          ? node.children[frames[j]]
+          : (node.children[frames[j]] = {name: frames[j], value: 0, children: {}});
+        node.value += value;
+      }
+      depth = Math.max(depth, frames.length);
+    }
+
+    root.depth = depth;
+    return root;
+  }
+
+  function getFrameColor(name) {
+    // frames of the same object share a hue
+    var group = splitName(name).group || name, hash = 0;
+    for (var i = 0; i < group.length; i++) {
+      hash = (hash * 31 + group.charCodeAt(i)) % 9973;
+    }
+
+    return 'hsl(' + (hash % 50) + ',' + (70 + hash % 20) + '%,' + (55 + (hash >> 3) % 12) + '%)';
+  }
+
+  function getFrameLabel(name, width) {
+    var numCharacters = Math.floor((width - 6) / 7);
+    if (numCharacters < 3) {
+      return '';
+    }
+
+    return name.length <= numCharacters ? name : name.slice(0, numCharacters - 2) + '..';
+  }
+
+  function renderFlameGraphFrames(node, x, depth, layout) {
+    var width = node.value / layout.total * layout.width;
+    if (width < layout.minWidth) {
+      return '';
+    }
+
+    var y = layout.height - layout.bottom - (depth + 1) * layout.frameHeight;
+    var percentage = (node.value / layout.total * 100).toFixed(2);
+    var details = node.name + ' (' + node.value + ' ' + layout.unit + ', ' + percentage + '%)';
+    var svg = '<g class="frame" data-name="' + escapeHtml(node.name) + '" data-details="' + escapeHtml(details) +
+      '" data-x="' + (x / layout.width) + '" data-width="' + (width / layout.width) + '" data-depth="' + depth + '">' +
+      '<title>' + escapeHtml(details) + '</title>' +
+      '<rect x="' + (layout.left + x).toFixed(2) + '" y="' + y + '" width="' + width.toFixed(2) +
+      '" height="' + (layout.frameHeight - 1) + '" rx="2" fill="' + getFrameColor(node.name) + '"/>' +
+      '<text x="' + (layout.left + x + 3).toFixed(2) + '" y="' + (y + layout.frameHeight - 5) + '">' +
+      escapeHtml(getFrameLabel(node.name, width)) + '</text></g>\n';
+
+    // children are sorted by name, as in other flame graphs
+    var names = [];
+    for (var name in node.children) {
+      if (node.children.hasOwnProperty(name)) {
+        names.push(name);
+      }
+    }
+    names.sort();
+
+    for (var i = 0, len = names.length; i < len; i++) {
+      var child = node.children[names[i]];
+      svg += renderFlameGraphFrames(child, x, depth + 1, layout);
+      x += child.value / layout.total * layout.width;
+    }
+
+    return svg;
+  }
+
+  function renderFlameGraph(folded, options) {
+    options = options || {};
+    var root = parseFoldedStacks(folded);
+    var frameHeight = options.frameHeight || 16, imageWidth = options.width || 1200;
+    var layout = {
+      total: root.value || 1,
+      left: 10,
+      width: imageWidth - 20,
+      bottom: 30,
+      height: 50 + (root.depth + 1) * frameHeight + 30,
+      frameHeight: frameHeight,
+      minWidth: options.minWidth === void 0 ? 0.1 : options.minWidth,
+      unit: options.unit || (options.metadata ? getFoldedUnit(options.metadata.unit) : '\u00b5s')
+    };
+    var title = escapeHtml(options.title || 'Flame graph');
+
+    return [
+      '<?xml version="1.0" encoding="utf-8" standalone="no"?>',
+      '<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="' + imageWidth + '" height="' + layout.height +
+        '" viewBox="0 0 ' + imageWidth + ' ' + layout.height + '">',
+      '<style>',
+      'text{font:12px sans-serif;fill:#000}',
+      '#title{font-size:17px;text-anchor:middle}',
+      '.frame{cursor:pointer}',
+      '.frame:hover rect{stroke:#000;stroke-width:0.5}',
+      '.frame.ancestor{opacity:0.6}',
+      '.frame.hidden{display:none}',
+      '</style>',
+      '<rect width="100%" height="100%" fill="#fff9f0"/>',
+      '<text id="title" x="' + imageWidth / 2 + '" y="24">' + title + '</text>',
+      '<text id="details" x="' + layout.left + '" y="' + (layout.height - 10) + '"> </text>',
+      '<g id="frames">',
+      renderFlameGraphFrames(root, 0, 0, layout) + '</g>',
+      '<script><![CDATA[',
+      '(function() {',
+      '  var frames = document.getElementById("frames").getElementsByTagName("g");',
+      '  var details = document.getElementById("details").firstChild;',
+      '  var left = ' + layout.left + ', width = ' + layout.width + ';',
+      '  function attribute(frame, name) {',
+      '    return parseFloat(frame.getAttribute("data-" + name));',
+      '  }',
+      '  function label(name, pixels) {',
+      '    var numCharacters = Math.floor((pixels - 6) / 7);',
+      '    if (numCharacters < 3) {',
+      '      return "";',
+      '    }',
+      '    return name.length <= numCharacters ? name : name.slice(0, numCharacters - 2) + "..";',
+      '  }',
+      '  function zoom(target) {',
+      '    var x = attribute(target, "x"), scale = attribute(target, "width"), depth = attribute(target, "depth");',
+      '    for (var i = 0; i < frames.length; i++) {',
+      '      var frame = frames[i], frameX = attribute(frame, "x"), frameWidth = attribute(frame, "width");',
+      '      var inside = frameX >= x - 1e-9 && frameX + frameWidth <= x + scale + 1e-9;',
+      '      var ancestor = attribute(frame, "depth") < depth && frameX <= x + 1e-9 &&',
+      '        frameX + frameWidth >= x + scale - 1e-9;',
+      '      var rect = frame.getElementsByTagName("rect")[0], text = frame.getElementsByTagName("text")[0];',
+      '      var newX = ancestor ? 0 : (frameX - x) / scale * width;',
+      '      var newWidth = ancestor ? width : frameWidth / scale * width;',
+      '      frame.setAttribute("class", ancestor ? "frame ancestor" : inside ? "frame" : "frame hidden");',
+      '      rect.setAttribute("x", (left + newX).toFixed(2));',
+      '      rect.setAttribute("width", newWidth.toFixed(2));',
+      '      text.setAttribute("x", (left + newX + 3).toFixed(2));',
+      '      text.textContent = label(frame.getAttribute("data-name"), newWidth);',
+      '    }',
+      '  }',
+      '  for (var i = 0; i < frames.length; i++) {',
+      '    frames[i].onclick = function() { zoom(this); };',
+      '    frames[i].onmouseover = function() { details.nodeValue = this.getAttribute("data-details"); };',
+      '    frames[i].onmouseout = function() { details.nodeValue = " "; };',
+      '  }',
+      '}());',
+      ']]></script>',
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+
+  function getBenchCandidate(name, candidate, options) {
+    var fn = typeof candidate === 'function' ? candidate : candidate && candidate.fn;
+    if (typeof fn !== 'function') {
+      throw TypeError('Expected function as benchmark candidate ' + name + ', but received a ' + typeof fn);
+    }
+
+    return {
+      fn: fn,
+      setup: candidate.setup || options.setup,
+      teardown: candidate.teardown || options.teardown
+    };
+  }
+
+  // seconds per unit of the clocks that benchmarks can derive operations per second from
+  var timeUnits = {ns: 1e-9, '\u00b5s': 1e-6, us: 1e-6, ms: 1e-3, s: 1};
+
+  // trace and CPU profile formats count in microseconds
+  function getMicroseconds(clock) {
+    if (!timeUnits.hasOwnProperty(clock.unit)) {
+      throw Error('Can\'t convert times to microseconds, the unit of the clock is ' + clock.unit);
+    }
+
+    return timeUnits[clock.unit] * 1e6;
+  }
+
+  // folded stacks are weighted in microseconds, or in the unit of clocks not measuring time
+  function getFoldedUnit(unit) {
+    return timeUnits.hasOwnProperty(unit) ? '\u00b5s' : unit;
+  }
+
+  function getClockResolution(getTime) {
+    // the smallest of a few steps, zero for clocks that only move when told to
+    var resolution = Infinity;
+    for (var i = 0; i < 3; i++) {
+      var start = getTime(), time = start;
+      for (var j = 0; j < 1e5 && time === start; j++) {
+        time = getTime();
+      }
+      if (time > start) {
+        resolution = Math.min(resolution, time - start);
+      }
+    }
+
+    return resolution === Infinity ? 0 : resolution;
+  }
+
+  function getBenchSettings(profiler, options) {
+    var seconds = timeUnits[profiler.clock.unit];
+    if (!seconds) {
+      throw Error('Benchmarks need a clock measuring time, but the unit of the clock is ' + profiler.clock.unit);
+    }
+
+    var maxTime = options.maxTime === void 0 ? 1 / seconds : options.maxTime;
+    var minSampleTime = options.minSampleTime;
+    if (minSampleTime === void 0) {
+      // samples span many clock steps, and a target time holds up to about 1000 samples
+      minSampleTime = Math.max(100 * getClockResolution(profiler.getTime), isFinite(maxTime) ? maxTime / 1000 : 0);
+    }
+
+    return {
+      seconds: seconds,
+      warmup: options.warmup === void 0 ? 10 : options.warmup,
+      minSamples: Math.max(options.minSamples || 10, 2),
+      maxSamples: options.maxSamples || 1000,
+      maxTime: maxTime,
+      maxMargin: options.maxMargin,
+      minSampleTime: minSampleTime,
+      confidence: options.confidence || 0.95
+    };
+  }
+
+  function runBenchmark(profiler, name, candidate, settings) {
+    var getTime = profiler.getTime, minSampleTime = settings.minSampleTime;
+    var warmup = settings.warmup, iterationsPerSample = 1, numIterations = 0;
+    var numSamples = 0, mean = 0, squaredDeviations = 0, startTime = getTime();
+
+    // iterations of the current sample, and whether the candidate returns promises
+    var iteration = 0, sampleTime = 0, async;
+
+    function isDone() {
+      if (numSamples < settings.minSamples) {
+        return false;
+      }
+      if (numSamples >= settings.maxSamples || getTime() - startTime >= settings.maxTime) {
+        return true;
+      }
+
+      var standardError = Math.sqrt(squaredDeviations / (numSamples - 1) / numSamples);
+      return settings.maxMargin !== void 0 &&
+        studentTQuantile(settings.confidence, numSamples - 1) * standardError <= settings.maxMargin * mean;
+    }
+
+    function completeIteration(time, state) {
+      if (candidate.teardown) {
+        candidate.teardown(state);
+      }
+
+      iteration += 1;
+      sampleTime += time;
+    }
+
+    function completeSample(count, time) {
+      iteration = sampleTime = 0;
+
+      if (warmup > 0) {
+        // the target time starts after the warm-up
+        warmup -= 1;
+        startTime = getTime();
+        return;
+      }
+
+      // samples that are too short to measure precisely calibrate the number of iterations
+      if (time < minSampleTime) {
+        iterationsPerSample = time > 0
+          ? Math.max(count + 1, Math.ceil(count * minSampleTime / time))
+          : count * 10;
+        return;
+      }
+
+      time /= count;
+      profiler.addSample(name, time, time);
+      numIterations += count;
+      numSamples += 1;
+      var delta = time - mean;
+      mean += delta / numSamples;
+      squaredDeviations += delta * (time - mean);
+    }
+
+    return new Promise(function(resolve, reject) {
+      function next() {
+        try {
+          while (!isDone()) {
+            // warm-up iterations run one at a time
+            var count = warmup > 0 ? 1 : iterationsPerSample, start, i;
+
+            // a single measurement for all iterations keeps the clock overhead out of fast candidates
+            if (async === false && !candidate.setup && !candidate.teardown) {
+              start = getTime();
+              for (i = 0; i < count; i++) {
+                candidate.fn();
+              }
+              completeSample(count, getTime() - start);
+              continue;
+            }
+
+            // setup and teardown are not part of the timed region
+            while (iteration < count) {
+              var state = candidate.setup ? candidate.setup() : void 0;
+              start = getTime();
+              var result = candidate.fn(state);
+              async = isThenable(result);
+              if (async) {
+                result.then(waitFor(start, state)).then(null, reject);
+                return;
+              }
+              completeIteration(getTime() - start, state);
+            }
+            completeSample(count, sampleTime);
+          }
+          resolve({numIterations: numIterations, iterationsPerSample: iterationsPerSample});
+        } catch (e) {
+          reject(e);
+        }
+      }
+
+      function waitFor(start, state) {
+        return function() {
+          completeIteration(getTime() - start, state);
+          next();
+        };
+      }
+
+      next();
+    });
+  }
+
+  function welchTest(a, b, confidence) {
+    var errorA = a.sampleVariance / a.numSamples, errorB = b.sampleVariance / b.numSamples;
+    var difference = a.time.mean - b.time.mean, t, degreesOfFreedom, pValue;
+    if (errorA + errorB === 0) {
+      t = difference === 0 ? 0 : difference * Infinity;
+      degreesOfFreedom = a.numSamples + b.numSamples - 2;
+      pValue = difference === 0 ? 1 : 0;
+    }
+    else {
+      t = difference / Math.sqrt(errorA + errorB);
+      degreesOfFreedom = Math.pow(errorA + errorB, 2) /
+        (errorA * errorA / (a.numSamples - 1) + errorB * errorB / (b.numSamples - 1));
+      pValue = studentTTail(t, degreesOfFreedom);
+    }
+
+    var significant = pValue < 1 - confidence;
+    return {
+      difference: difference,
+      relative: b.time.mean ? difference / b.time.mean : void 0,
+      t: t,
+      degreesOfFreedom: degreesOfFreedom,
+      pValue: pValue,
+      significant: significant,
+      faster: significant ? (difference < 0 ? a.name : b.name) : void 0
+    };
+  }
+
+  function createBenchResult(profiler, names, settings, runs) {
+    var confidence = settings.confidence, report = profiler.getReport();
+    var result = {candidates: {}, fastest: void 0, comparisons: [], confidence: confidence, profiler: profiler};
+    var i, j;
+
+    for (i = 0; i < names.length; i++) {
+      var time = report[names[i]].totalTime, numSamples = time.numCalls;
+      var sampleVariance = time.variance * numSamples / (numSamples - 1);
+      var marginOfError = studentTQuantile(confidence, numSamples - 1) * Math.sqrt(sampleVariance / numSamples);
+      result.candidates[names[i]] = {
+        name: names[i],
+        numSamples: numSamples,
+        numIterations: runs[i].numIterations,
+        iterationsPerSample: runs[i].iterationsPerSample,
+        opsPerSecond: 1 / settings.seconds / time.mean,
+        time: time,
+        sampleVariance: sampleVariance,
+        marginOfError: marginOfError,
+        relativeMarginOfError: time.mean ? marginOfError / time.mean : 0,
+        confidenceInterval: [time.mean - marginOfError, time.mean + marginOfError]
+      };
+
+      if (!result.fastest || time.mean < result.candidates[result.fastest].time.mean) {
+        result.fastest = names[i];
+      }
+    }
+
+    for (i = 0; i < names.length; i++) {
+      for (j = i + 1; j < names.length; j++) {
+        var comparison = welchTest(result.candidates[names[i]], result.candidates[names[j]], confidence);
+        comparison.a = names[i];
+        comparison.b = names[j];
+        result.comparisons.push(comparison);
+      }
+    }
+
+    return result;
+  }
+
+  function bench(candidates, options) {
+    options = options || {};
+    if (candidates === null || typeof candidates !== 'object') {
+      throw TypeError('Expected object of candidates, but received ' + candidates);
+    }
+
+    var profiler = options.profiler || new Profiler({clock: options.clock, storage: options.storage});
+    var names = keys(candidates), prepared = {}, i;
+    for (i = 0; i < names.length; i++) {
+      prepared[names[i]] = getBenchCandidate(names[i], candidates[names[i]], options);
+    }
+
+    // candidates run one after another
+    var settings = getBenchSettings(profiler, options), runs = [], chain = Promise.resolve();
+    for (i = 0; i < names.length; i++) {
+      chain = chain
+        .then(runBenchmark.bind(null, profiler, names[i], prepared[names[i]], settings))
+        .then(runs.push.bind(runs));
+    }
+
+    return chain.then(function() {
+      return createBenchResult(profiler, names, settings, runs);
+    });
+  }
+
+  function getComparedReport(value, argumentName) {
+    if (value === null || typeof value !== 'object') {
+      throw TypeError('Expected report or snapshot as ' + argumentName + ', but received a ' + typeof value);
+    }
+
+    if (value.hasOwnProperty('version') && value.hasOwnProperty('report')) {
+      if (value.version > exports.snapshotVersion) {
+        throw Error('Unsupported snapshot version: ' + value.version);
+      }
+      return value.report;
+    }
+
+    return value;
+  }
+
+  // report values that only some functions have, and the values they are shaped like
+  var optionalMetrics = {
+    asyncTime: 'selfTime',
+    lifetime: 'selfTime',
+    selfHeap: 'selfTime',
+    totalHeap: 'selfTime',
+    numSucceeded: 'numCalls',
+    numFailed: 'numCalls',
+    numIterators: 'numCalls',
+    numYields: 'numCalls'
+  };
+
+  function isKnownMetric(entry, metric) {
+    var parts = metric.split('.');
+    if (!entry.hasOwnProperty(parts[0]) && optionalMetrics.hasOwnProperty(parts[0])) {
+      parts[0] = optionalMetrics[parts[0]];
+    }
+
+    // error types that never occurred are missing
+    if (parts[0] === 'errorTypes' && parts.length === 2) {
+      return true;
+    }
+
+    // values of empty statistics are undefined, but present
+    for (var i = 0, object = entry; i < parts.length; object = object[parts[i++]]) {
+      if (object === null || typeof object !== 'object' || !object.hasOwnProperty(parts[i])) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  function isRange(limit) {
+    for (var key in limit) {
+      if (limit.hasOwnProperty(key) && key !== 'min' && key !== 'max') {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  function checkLimits(name, pattern, entry, limits, prefix, violations) {
+    function addViolation(metric, bound, limit, actual) {
+      violations.push({name: name, pattern: pattern, metric: metric, bound: bound, limit: limit, actual: actual});
+    }
+
+    for (var key in limits) {
+      if (limits.hasOwnProperty(key)) {
+        var metric = prefix + key, limit = limits[key], actual = getPath(entry, metric);
+
+        // misspelled metrics would otherwise pass every budget
+        if (!isKnownMetric(entry, metric)) {
+          violations.push({name: name, pattern: pattern, metric: metric, reason: 'unknown'});
+          continue;
+        }
+
+        // missing values, e.g. of empty statistics, can't exceed limits
+        if (actual === void 0 && (typeof limit === 'number' || isRange(limit))) {
+          continue;
+        }
+
+        // limits are maximums, numeric values can also have a `{min, max}` range
+        if (typeof limit === 'number' && typeof actual === 'number') {
+          if (actual > limit) {
+            addViolation(metric, 'max', limit, actual);
+          }
+        }
+        else if (limit !== null && typeof limit === 'object' && typeof actual === 'number') {
+          if (limit.max !== void 0 && actual > limit.max) {
+            addViolation(metric, 'max', limit.max, actual);
+          }
+          if (limit.min !== void 0 && actual < limit.min) {
+            addViolation(metric, 'min', limit.min, actual);
+          }
+        }
+        else if (limit !== null && typeof limit === 'object') {
+          checkLimits(name, pattern, entry, limit, metric + '.', violations);
+        }
+      }
+    }
+  }
+
+  function formatViolations(violations) {
+    var lines = [violations.length + ' performance budget' + (violations.length === 1 ? '' : 's') + ' exceeded:'];
+    for (var i = 0, len = violations.length; i < len; i++) {
+      var violation = violations[i];
+      if (violation.reason === 'unmatched') {
+        lines.push('  no function matches ' + violation.pattern);
+      }
+      else if (violation.reason === 'unknown') {
+        lines.push('  ' + violation.name + ' has no metric ' + violation.metric);
+      }
+      else {
+        lines.push('  ' + violation.name + ' ' + violation.metric + ' is ' + violation.actual + ', allowed is ' +
+          (violation.bound === 'max' ? 'at most ' : 'at least ') + violation.limit);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  function extendExpect(expect) {
+    if (!expect || typeof expect.Assertion !== 'function') {
+      throw TypeError('Expected expect.js as first argument');
+    }
+
+    // `expect(profiler).to.meetBudget(budgets[, sessionName])`
+    expect.Assertion.prototype.meetBudget = function(budgets, sessionName) {
+      if (!this.obj || typeof this.obj.checkBudget !== 'function') {
+        throw TypeError('Expected a profiler, but received ' + this.obj);
+      }
+
+      var violations = this.obj.checkBudget(budgets, sessionName);
+      this.assert(
+        violations.length === 0,
+        function() { return 'expected profile to meet its budget, but ' + formatViolations(violations); },
+        function() { return 'expected profile to exceed its budget'; }
+      );
+
+      return this;
+    };
+
+    return expect;
+  }
+
+  function compareValues(baseline, current) {
+    if (typeof baseline !== 'number' || typeof current !== 'number') {
+      return {baseline: baseline, current: current, delta: void 0, relative: void 0};
+    }
+
+    var delta = current - baseline;
+    return {
+      baseline: baseline,
+      current: current,
+      delta: delta,
+      relative: baseline ? delta / Math.abs(baseline) : (delta ? delta * Infinity : 0)
+    };
+  }
+
+  function compareStatistics(baseline, current) {
+    var comparison = {};
+    baseline = baseline || {};
+    current = current || {};
+    for (var key in current) {
+      if (current.hasOwnProperty(key) && key !== 'numCalls' && typeof current[key] === 'number') {
+        comparison[key] = compareValues(baseline[key], current[key]);
+      }
+    }
+    for (key in baseline) {
+      if (baseline.hasOwnProperty(key) && !comparison.hasOwnProperty(key) &&
+          key !== 'numCalls' && typeof baseline[key] === 'number') {
+        comparison[key] = compareValues(baseline[key], current[key]);
+      }
+    }
+
+    return comparison;
+  }
+
+  function compare(baseline, current, options) {
+    options = options || {};
+    baseline = getComparedReport(baseline, 'baseline');
+    current = getComparedReport(current, 'current');
+
+    var thresholds = options.thresholds || {'selfTime.median': 0.2};
+    var minDelta = options.minDelta || 0;
+    var result = {functions: {}, added: [], removed: [], regressions: [], regressed: false};
+    var name;
+
+    for (name in current) {
+      if (current.hasOwnProperty(name)) {
+        var isNew = !baseline.hasOwnProperty(name);
+        var base = isNew ? {} : baseline[name], entry = current[name];
+        result.functions[name] = {
+          status: isNew ? 'added' : 'changed',
+          numCalls: compareValues(base.numCalls, entry.numCalls),
+          selfTime: compareStatistics(base.selfTime, entry.selfTime),
+          totalTime: compareStatistics(base.totalTime, entry.totalTime)
+        };
+        if (isNew) {
+          result.added.push(name);
+        }
+      }
+    }
+
+    for (name in baseline) {
+      if (baseline.hasOwnProperty(name) && !current.hasOwnProperty(name)) {
+        result.removed.push(name);
+        result.functions[name] = {
+          status: 'removed',
+          numCalls: compareValues(baseline[name].numCalls, void 0),
+          selfTime: compareStatistics(baseline[name].selfTime, {}),
+          totalTime: compareStatistics(baseline[name].totalTime, {})
+        };
+      }
+    }
+
+    // only functions present in both runs can regress
+    for (name in result.functions) {
+      if (result.functions.hasOwnProperty(name) && result.functions[name].status === 'changed') {
+        for (var metric in thresholds) {
+          if (thresholds.hasOwnProperty(metric)) {
+            var change = getPath(result.functions[name], metric);
+            if (change && change.relative > thresholds[metric] && change.delta > minDelta) {
+              result.regressions.push({
+                name: name,
+                metric: metric,
+                baseline: change.baseline,
+                current: change.current,
+                relative: change.relative,
+                threshold: thresholds[metric]
+              });
+            }
+          }
+        }
+      }
+    }
+
+    result.regressed = result.regressions.length > 0;
+    return result;
+  }
+
+  function StreamingSeries(reservoirSize) {
+    this.length = 0;
+    this.sum = 0;
+    this.min = void 0;
+    this.max = void 0;
+    this.mean = 0;
+    this.squaredDeviations = 0;
+    this.reservoir = [];
+    this.reservoirSize = reservoirSize || 1024;
+  }
+
+  StreamingSeries.prototype = {
+    push: function(value) {
+      var length = this.length += 1;
+      this.sum += value;
+      if (length === 1 || value > this.max) {
+        this.max = value;
+      }
+      if (length === 1 || value < this.min) {
+        this.min = value;
+      }
+
+      // Welford's online algorithm for mean and variance
+      var delta = value - this.mean;
+      this.mean += delta / length;
+      this.squaredDeviations += delta * (value - this.mean);
+
+      // reservoir sampling keeps a uniform random subset for quantiles
+      var reservoir = this.reservoir;
+      if (reservoir.length < this.reservoirSize) {
+        reservoir.push(value);
+      }
+      else {
+        var index = Math.floor(Math.random() * length);
+        if (index < this.reservoirSize) {
+          reservoir[index] = value;
+        }
+      }
+
+      return length;
+    },
+
+    merge: function(other) {
+      var length = this.length + other.length;
+      if (!other.length) {
+        return length;
+      }
+
+      if (!this.length || other.max > this.max) {
+        this.max = other.max;
+      }
+      if (!this.length || other.min < this.min) {
+        this.min = other.min;
+      }
+
+      // parallel variant of Welford's algorithm
+      var delta = other.mean - this.mean;
+      this.squaredDeviations += other.squaredDeviations + delta * delta * this.length * other.length / length;
+      this.mean += delta * other.length / length;
+      this.sum += other.sum;
+
+      // the merged reservoir draws from both reservoirs in proportion to the lengths of their series
+      var reservoir = [], own = this.reservoir.slice(), others = other.reservoir.slice();
+      while (reservoir.length < this.reservoirSize && (own.length || others.length)) {
+        var source = !others.length || (own.length && Math.random() * length < this.length) ? own : others;
+        reservoir.push(source.splice(Math.floor(Math.random() * source.length), 1)[0]);
+      }
+      this.reservoir = reservoir;
+
+      return (this.length = length);
+    },
+
+    variance: function() {
+      return this.length ? this.squaredDeviations / this.length : void 0;
+    }
+  };
+
+  function Profiler(options) {
+    this.options = options || {};
+    if (this.options.storage !== void 0 && this.options.storage !== 'exact' &&
+        this.options.storage !== 'streaming') {
+      throw Error('Unknown storage: ' + this.options.storage);
+    }
+    this.clock = this.createClock(this.options.clock);
+    this.getTime = this.clock.now;
+    this.getHeapUsed = this.createHeapMeter(this.options.memory);
+    this.seenObjects = [];
+    this.seenNames = [];
+    this.wrappedFunctions = [];
+    this.wrappedProperties = [];
+    this.uninstrumented = [];
+    this.listeners = {call: [], 'return': [], 'throw': []};
+    this.sessions = {};
+    this.session = this.sessions['default'] = this.createSession('default');
+    this.recording = this.options.autoStart !== false;
+  }
+
+  // accepts profilers and transfer data, e.g. received from workers
+  Profiler.merge = function() {
+    var transfers = [], storage = 'exact', i;
+    for (i = 0; i < arguments.length; i++) {
+      var transfer = arguments[i] instanceof Profiler ? arguments[i].getTransfer('profile ' + i) : arguments[i];
+      if (transfer && transfer.metadata && transfer.metadata.storage === 'streaming') {
+        storage = 'streaming';
+      }
+      transfers.push(transfer);
+    }
+
+    // times are kept in the unit of the first input. merged profilers only hold imported
+    // samples, so the clock of transfer data just needs to carry its name and unit
+    var clock = arguments[0] instanceof Profiler ? arguments[0].clock : void 0;
+    var metadata = transfers[0] && transfers[0].metadata;
+    if (!clock && metadata && metadata.unit) {
+      clock = {name: metadata.clock, unit: metadata.unit, now: Profiler.prototype.createClock().now};
+    }
+
+    var profiler = new Profiler({clock: clock, storage: storage, autoStart: false});
+    for (i = 0; i < transfers.length; i++) {
+      profiler['import'](transfers[i]);
+    }
+
+    return profiler;
+  };
+
+  Profiler.prototype = {
+    addEvent: function(session, name, start, duration, depth, outcome) {
+      session.events.push({name: name, start: start, duration: duration, depth: depth, outcome: outcome});
+    },
+
+    addOutcomesToReport: function(functionReport, functionSamples) {
+      var split = functionSamples.byOutcome || this.splitByOutcome(functionSamples);
+      var errorTypes = {}, numThrows = 0;
+
+      for (var type in functionSamples.errorTypes) {
+        if (functionSamples.errorTypes.hasOwnProperty(type)) {
+          errorTypes[type] = functionSamples.errorTypes[type];
+          numThrows += errorTypes[type];
+        }
+      }
+
+      functionReport.numThrows = numThrows;
+      functionReport.errorTypes = errorTypes;
+      functionReport.returned = {
+        selfTime: this.statistics(split.returned.selfTimes),
+        totalTime: this.statistics(split.returned.totalTimes)
+      };
+      functionReport.threw = {
+        selfTime: this.statistics(split.threw.selfTimes),
+        totalTime: this.statistics(split.threw.totalTimes)
+      };
+    },
+
+    addHeapSample: function(name, totalHeap, selfHeap, session) {
+      var functionSamples = this.getFunctionSamples(name, session);
+      if (!functionSamples.totalHeaps) {
+        functionSamples.totalHeaps = this.createSeries();
+        functionSamples.selfHeaps = this.createSeries();
+      }
+
+      functionSamples.totalHeaps.push(totalHeap);
+      functionSamples.selfHeaps.push(selfHeap);
+    },
+
+    addSourcesToReport: function(functionReport, name, sources) {
+      for (var source in sources) {
+        if (sources.hasOwnProperty(source) && sources[source].hasOwnProperty(name)) {
+          functionReport.sources = functionReport.sources || {};
+          functionReport.sources[source] = this.createFunctionReport(sources[source][name]);
+        }
+      }
+    },
+
+    addSkippedCall: function(name, session) {
+      this.getFunctionSamples(name, session).numSkipped += 1;
+    },
+
+    addSample: function(name, totalTime, selfTime, outcome, error, session) {
+      var functionSamples = this.getFunctionSamples(name, session);
+      functionSamples.totalTimes.push(totalTime);
+      functionSamples.selfTimes.push(selfTime);
+
+      outcome = outcome || 'returned';
+      if (functionSamples.outcomes) {
+        functionSamples.outcomes.push(outcome);
+      }
+      else {
+        functionSamples.byOutcome[outcome].totalTimes.push(totalTime);
+        functionSamples.byOutcome[outcome].selfTimes.push(selfTime);
+      }
+
+      if (outcome === 'threw') {
+        var errorTypes = functionSamples.errorTypes, errorType = getErrorType(error);
+        errorTypes[errorType] = (errorTypes.hasOwnProperty(errorType) ? errorTypes[errorType] : 0) + 1;
+      }
+    },
+
+    addAsyncSample: function(name, asyncTime, succeeded, session) {
+      var functionSamples = this.getFunctionSamples(name, session);
+      if (!functionSamples.asyncTimes) {
+        functionSamples.asyncTimes = this.createSeries();
+        functionSamples.numSucceeded = 0;
+        functionSamples.numFailed = 0;
+      }
+
+      functionSamples.asyncTimes.push(asyncTime);
+      if (succeeded) {
+        functionSamples.numSucceeded += 1;
+      }
+      else {
+        functionSamples.numFailed += 1;
+      }
+    },
+
+    assertBudget: function(budgets, sessionName) {
+      var violations = this.checkBudget(budgets, sessionName);
+      if (violations.length) {
+        var error = Error(formatViolations(violations));
+        error.violations = violations;
+        throw error;
+      }
+
+      return this;
+    },
+
+    calibrate: function(iterations) {
+      iterations = iterations || 10000;
+      var profiler = new Profiler({clock: {name: this.clock.name, unit: this.clock.unit, now: this.getTime}});
+      var empty = profiler.wrapFunction('empty', function() {});
+      for (var i = 0; i < iterations; i++) {
+        empty();
+      }
+
+      // the self time of an empty function is what the wrapper adds to every call
+      return (this.overhead = profiler.getReport().empty.selfTime.median);
+    },
+
+    checkBudget: function(budgets, sessionName) {
+      if (budgets === null || typeof budgets !== 'object') {
+        throw TypeError('Expected budgets object, but received ' + budgets);
+      }
+
+      var report = this.getReport(sessionName), violations = [];
+      for (var pattern in budgets) {
+        if (budgets.hasOwnProperty(pattern)) {
+          var matched = false;
+          for (var name in report) {
+            if (report.hasOwnProperty(name) && matchesPatterns(name, pattern)) {
+              matched = true;
+              checkLimits(name, pattern, report[name], budgets[pattern], '', violations);
+            }
+          }
+
+          // a budget for functions that were never called passes without checking anything
+          if (!matched) {
+            violations.push({pattern: pattern, reason: 'unmatched'});
+          }
+        }
+      }
+
+      return violations;
+    },
+
+    createSession: function(name) {
+      var totalTimesStack = [0], callTree = this.createCallTreeNode('(root)');
+      totalTimesStack.lastIndex = 0;
+
+      return {
+        name: name,
+        samples: {},
+        totalTimesStack: totalTimesStack,
+        heapStack: [0],
+        callTree: callTree,
+        callTreeStack: [callTree],
+        excludedTime: 0,
+        sources: {},
+        events: this.options.recordEvents ? [] : null
+      };
+    },
+
+    createClock: function(clock) {
+      if (clock === void 0 || clock === null) {
+        return hrtimeClock() || performanceClock() || dateClock();
+      }
+
+      if (typeof clock === 'string') {
+        var clocks = exports.clocks;
+        if (!clocks.hasOwnProperty(clock)) {
+          throw Error('Unknown clock: ' + clock);
+        }
+
+        var instance = clocks[clock]();
+        if (!instance) {
+          throw Error('Clock not available in this environment: ' + clock);
+        }
+        return instance;
+      }
+
+      if (typeof clock === 'function') {
+        return {name: 'custom', unit: 'ms', now: clock};
+      }
+
+      if (typeof clock.now !== 'function') {
+        throw TypeError('Expected clock to have a `now` function');
+      }
+
+      return {name: clock.name || 'custom', unit: clock.unit || 'ms', now: clock.now};
+    },
+
+    createHeapMeter: function(memory) {
+      if (typeof memory === 'function') {
+        return memory;
+      }
+
+      // without a memory api, only time is measured
+      return memory ? getHeapMeter() : null;
+    },
+
+    createFunctionReport: function(functionSamples) {
+      var functionReport = {
+        numCalls: functionSamples.totalTimes.length,
+        selfTime: this.statistics(functionSamples.selfTimes),
+        totalTime: this.statistics(functionSamples.totalTimes)
+      };
+
+      this.addOutcomesToReport(functionReport, functionSamples);
+
+      if (functionSamples.numSkipped) {
+        this.extrapolateReport(functionReport, functionSamples.numSkipped);
+      }
+
+      if (functionSamples.asyncTimes) {
+        functionReport.asyncTime = this.statistics(functionSamples.asyncTimes);
+        functionReport.numSucceeded = functionSamples.numSucceeded;
+        functionReport.numFailed = functionSamples.numFailed;
+      }
+
+      if (functionSamples.lifetimes) {
+        functionReport.numIterators = functionSamples.numIterators;
+        functionReport.numYields = functionSamples.numYields;
+        functionReport.lifetime = this.statistics(functionSamples.lifetimes);
+      }
+
+      if (functionSamples.totalHeaps) {
+        functionReport.selfHeap = this.statistics(functionSamples.selfHeaps);
+        functionReport.totalHeap = this.statistics(functionSamples.totalHeaps);
+      }
+
+      return functionReport;
+    },
+
+    createProxy: function(func, profile) {
+      var toString = function toString() {
+        return Function.prototype.toString.call(func);
+      };
+      var hasInstance = function(instance) {
+        return instance instanceof func;
+      };
+
+      return new Proxy(func, {
+        apply: function(target, thisArg, args) {
+          return profile(thisArg, args);
+        },
+        construct: function(target, args, newTarget) {
+          return profile(void 0, args, newTarget);
+        },
+        get: function(target, key, receiver) {
+          // Function.prototype.toString doesn't return the source of proxies, and
+          // `instanceof` doesn't look through proxies of bound functions
+          var value = Reflect.get(target, key, receiver);
+          if (value === Function.prototype.toString) {
+            return toString;
+          }
+
+          return key === Symbol.hasInstance && value === Function.prototype[Symbol.hasInstance] ? hasInstance : value;
+        }
+      });
+    },
+
+    createSampleRecord: function() {
+      var record = {totalTimes: this.createSeries(), selfTimes: this.createSeries(), errorTypes: {}, numSkipped: 0};
+
+      // streaming series can't be filtered later, so they are split upfront
+      if (this.options.storage === 'streaming') {
+        record.byOutcome = {
+          returned: {totalTimes: this.createSeries(), selfTimes: this.createSeries()},
+          threw: {totalTimes: this.createSeries(), selfTimes: this.createSeries()}
+        };
+      }
+      else {
+        record.outcomes = [];
+      }
+
+      return record;
+    },
+
+    createSeries: function() {
+      return this.options.storage === 'streaming' ? new StreamingSeries(this.options.reservoirSize) : [];
+    },
+
+    createCallFrame: function(name) {
+      return {functionName: name, scriptId: '0', url: '', lineNumber: -1, columnNumber: -1};
+    },
+
+    createCallTreeNode: function(name) {
+      return {name: name, calls: 0, selfTime: 0, totalTime: 0, active: 0, children: {}};
+    },
+
+    emit: function(session, type, event) {
+      var start = this.getTime(), listeners = this.listeners[type].slice();
+      for (var i = 0, len = listeners.length; i < len; i++) {
+        // listeners must never break the profiled code
+        try {
+          listeners[i].call(this, event);
+        } catch (e) {}
+      }
+
+      session.excludedTime += this.getTime() - start;
+    },
+
+    enterCallTreeNode: function(session, name) {
+      var stack = session.callTreeStack, node;
+
+      // recursive calls are merged into the node of the outermost invocation
+      for (var i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          node = stack[i];
+          break;
+        }
+      }
+
+      if (!node) {
+        var children = stack[stack.length - 1].children;
+        node = children.hasOwnProperty(name)
+          ? children[name]
+          : (children[name] = this.createCallTreeNode(name));
+      }
+
+      node.calls += 1;
+      node.active += 1;
+      stack.push(node);
+
+      return node;
+    },
+
+    exitCallTreeNode: function(session, node, totalTime, selfTime) {
+      session.callTreeStack.pop();
+      node.selfTime += selfTime;
+
+      // only the outermost of several recursive invocations adds total time
+      if (--node.active === 0) {
+        node.totalTime += totalTime;
+      }
+    },
+
+    getBucketName: function(name, keyFunction, thisArg, args, maxBuckets, session) {
+      var key;
+      try {
+        key = String(keyFunction(thisArg, args));
+      } catch (e) {
+        // a failing key function must not break the profiled code
+        key = '(error)';
+      }
+
+      var functionSamples = this.getFunctionSamples(name, session);
+      var bucketKeys = functionSamples.bucketKeys || (functionSamples.bucketKeys = []);
+      if (bucketKeys.indexOf(key) === -1) {
+        if (bucketKeys.length >= maxBuckets) {
+          key = '(other)';
+        }
+        if (bucketKeys.indexOf(key) === -1) {
+          bucketKeys.push(key);
+        }
+      }
+
+      var bucketName = name + '[' + key + ']';
+      this.getFunctionSamples(bucketName, session).bucketOf = name;
+
+      return bucketName;
+    },
+
+    getCallTree: function(sessionName) {
+      var tree = this.serializeCallTreeNode(this.getSession(sessionName).callTree);
+      for (var name in tree.children) {
+        if (tree.children.hasOwnProperty(name)) {
+          tree.totalTime += tree.children[name].totalTime;
+        }
+      }
+
+      return tree;
+    },
+
+    getFoldedStacks: function(sessionName) {
+      var lines = [], unit = this.clock.unit;
+      var scale = timeUnits.hasOwnProperty(unit) ? timeUnits[unit] * 1e6 : 1;
+      function fold(node, stack) {
+        for (var name in node.children) {
+          if (node.children.hasOwnProperty(name)) {
+            var child = node.children[name];
+
+            // `;` separates frames, so it can't be part of a name
+            var frames = stack.concat(name.replace(/;/g, ',').replace(/\s*\n\s*/g, ' '));
+            var weight = Math.round(child.selfTime * scale);
+            if (weight > 0) {
+              lines.push(frames.join(';') + ' ' + weight);
+            }
+            fold(child, frames);
+          }
+        }
+      }
+
+      // weights are self times in microseconds, see getFoldedUnit()
+      fold(this.getSession(sessionName).callTree, []);
+      return lines.sort().join('\n') + (lines.length ? '\n' : '');
+    },
+
+    extrapolateReport: function(functionReport, numSkipped) {
+      var numTimedCalls = functionReport.numCalls;
+      var numCalls = numTimedCalls + numSkipped, scale = numCalls / numTimedCalls;
+
+      functionReport.numCalls = numCalls;
+      functionReport.numTimedCalls = numTimedCalls;
+      functionReport.estimated = true;
+      functionReport.selfTime.sum = numTimedCalls ? functionReport.selfTime.sum * scale : void 0;
+      functionReport.totalTime.sum = numTimedCalls ? functionReport.totalTime.sum * scale : void 0;
+    },
+
+    getCpuProfile: function(sessionName) {
+      var timeline = createTimeline(this.getEvents(sessionName));
+      var root = {id: 1, callFrame: this.createCallFrame('(root)'), hitCount: 0, children: []};
+      var nodes = [root], stack = [root], childIds = [{}];
+      var samples = [], timeDeltas = [], microseconds = getMicroseconds(this.clock);
+      var startTime = timeline.length ? Math.round(timeline[0].time * microseconds) : 0;
+      var lastSampleTime = startTime;
+
+      for (var i = 0, len = timeline.length; i < len; i++) {
+        var entry = timeline[i], top = stack[stack.length - 1];
+
+        // the frame on top of the stack was active since the previous entry
+        if (i > 0 && entry.time > timeline[i - 1].time) {
+          var time = Math.round(timeline[i - 1].time * microseconds);
+          if (samples[samples.length - 1] !== top.id) {
+            samples.push(top.id);
+            timeDeltas.push(time - lastSampleTime);
+            lastSampleTime = time;
+            top.hitCount += 1;
+          }
+        }
+
+        if (entry.phase === 'E') {
+          stack.pop();
+          childIds.pop();
+          continue;
+        }
+
+        var name = entry.event.name, children = childIds[childIds.length - 1], node;
+        if (children.hasOwnProperty(name)) {
+          node = nodes[children[name] - 1];
+        }
+        else {
+          node = {id: nodes.length + 1, callFrame: this.createCallFrame(name), hitCount: 0, children: []};
+          children[name] = node.id;
+          top.children.push(node.id);
+          nodes.push(node);
+        }
+        stack.push(node);
+        childIds.push(node.childIds || (node.childIds = {}));
+      }
+
+      for (i = 0, len = nodes.length; i < len; i++) {
+        delete nodes[i].childIds;
+      }
+
+      return {
+        nodes: nodes,
+        startTime: startTime,
+        endTime: timeline.length ? Math.round(timeline[timeline.length - 1].time * microseconds) : 0,
+        samples: samples,
+        timeDeltas: timeDeltas
+      };
+    },
+
+    getEvents: function(sessionName) {
+      var events = this.getSession(sessionName).events;
+      if (!events) {
+        throw Error('Events are only recorded with the `recordEvents` option');
+      }
+
+      return events.slice();
+    },
+
+    // samples go to the session of the call, which isn't current anymore when it settles later
+    getFunctionSamples: function(name, session) {
+      var samples = (session || this.session).samples;
+      return samples.hasOwnProperty(name)
+        ? samples[name]
+        : (samples[name] = this.createSampleRecord());
+    },
+
+    getIteratorSamples: function(name, session) {
+      var functionSamples = this.getFunctionSamples(name, session);
+      if (!functionSamples.lifetimes) {
+        functionSamples.lifetimes = this.createSeries();
+        functionSamples.numIterators = 0;
+        functionSamples.numYields = 0;
+      }
+
+      return functionSamples;
+    },
+
+    getMetadata: function() {
+      var metadata = {clock: this.clock.name, unit: this.clock.unit};
+      if (this.overhead !== void 0) {
+        metadata.overhead = this.overhead;
+      }
+
+      return metadata;
+    },
+
+    isExcluded: function(name, options) {
+      var exclude = this.getOption(options, 'exclude');
+      return exclude !== void 0 && matchesPatterns(name, exclude);
+    },
+
+    isIncluded: function(name, options) {
+      var include = this.getOption(options, 'include');
+      return include === void 0 || matchesPatterns(name, include);
+    },
+
+    getUninstrumented: function() {
+      return this.uninstrumented.slice();
+    },
+
+    getWrappedName: function(target) {
+      var wrappedFunctions = this.wrappedFunctions;
+      for (var i = 0, len = wrappedFunctions.length; i < len; i++) {
+        var entry = wrappedFunctions[i];
+        if (entry.wrapper === target || entry.original === target) {
+          return entry.name;
+        }
+      }
+
+      var index = this.seenObjects.indexOf(target);
+      return index === -1 ? void 0 : this.seenNames[index];
+    },
+
+    getOption: function(options, key) {
+      return options && options.hasOwnProperty(key) ? options[key] : this.options[key];
+    },
+
+    getReport: function(sessionName) {
+      var report = {}, samples = this.getSamples(sessionName), sources = this.getSession(sessionName).sources;
+      for (var name in samples) {
+        // buckets are reported as sub-entries of their function
+        if (samples.hasOwnProperty(name) && !samples[name].bucketOf) {
+          var functionSamples = samples[name];
+          report[name] = this.createFunctionReport(functionSamples);
+          this.addSourcesToReport(report[name], name, sources);
+
+          if (functionSamples.bucketKeys) {
+            report[name].buckets = {};
+            for (var i = 0, len = functionSamples.bucketKeys.length; i < len; i++) {
+              var key = functionSamples.bucketKeys[i], bucketName = name + '[' + key + ']';
+              if (samples.hasOwnProperty(bucketName)) {
+                report[name].buckets[key] = this.createFunctionReport(samples[bucketName]);
+              }
+            }
+          }
+        }
+      }
+
+      return report;
+    },
+
+    getTraceEvents: function(sessionName) {
+      var timeline = createTimeline(this.getEvents(sessionName)), traceEvents = [];
+      var pid = getProcessId(), microseconds = getMicroseconds(this.clock);
+      for (var i = 0, len = timeline.length; i < len; i++) {
+        var entry = timeline[i], ts = entry.time * microseconds;
+        var traceEvent = {name: entry.event.name, cat: 'prfl', ph: entry.phase, ts: ts, pid: pid, tid: 1};
+        if (entry.phase === 'E') {
+          traceEvent.args = {outcome: entry.event.outcome};
+        }
+        traceEvents.push(traceEvent);
+      }
+
+      return {traceEvents: traceEvents, displayTimeUnit: 'ms'};
+    },
+
+    getSnapshot: function(metadata, sessionName) {
+      var snapshotMetadata = this.getMetadata();
+      snapshotMetadata.session = this.getSession(sessionName).name;
+      for (var key in metadata) {
+        if (metadata.hasOwnProperty(key)) {
+          snapshotMetadata[key] = metadata[key];
+        }
+      }
 
-  function keys(object) {
-    if (object === null || typeof object !== 'object') {
-      throw TypeError('keys called on non-object');
-    }
+      return {
+        version: exports.snapshotVersion,
+        createdAt: new Date().getTime(),
+        metadata: snapshotMetadata,
+        report: this.getReport(sessionName),
+        samples: JSON.parse(JSON.stringify(this.getSamples(sessionName)))
+      };
+    },
 
-    var keys = [];
-    for (var key in object) {
-      if (object.hasOwnProperty(key)) {
-        keys.push(key);
+    getTransfer: function(source, sessionName) {
+      var metadata = this.getMetadata();
+      metadata.storage = this.options.storage || 'exact';
+
+      // a serialised copy can be posted to other threads and processes
+      return {
+        version: exports.transferVersion,
+        source: source === void 0 ? 'pid ' + getProcessId() : String(source),
+        metadata: metadata,
+        samples: JSON.parse(JSON.stringify(this.getSamples(sessionName)))
+      };
+    },
+
+    getSamples: function(sessionName) {
+      return this.getSession(sessionName).samples;
+    },
+
+    getSession: function(sessionName) {
+      if (sessionName === void 0) {
+        return this.session;
       }
-    }
 
-    return keys;
-  }
+      if (!this.sessions.hasOwnProperty(sessionName)) {
+        throw Error('Unknown session: ' + sessionName);
+      }
 
-  function Profiler() {
-    this.seenObjects = [];
-    this.samples = {};
-    this.totalTimesStack = [0];
-    this.totalTimesStack.lastIndex = 0;
-  }
+      return this.sessions[sessionName];
+    },
 
-  Profiler.prototype = {
-    addSample: function(name, totalTime, selfTime) {
-      var samples = this.samples;
-      var functionSamples = samples.hasOwnProperty(name)
-        ? samples[name]
-        : (samples[name] = {totalTimes: [], selfTimes: []});
-      functionSamples.totalTimes.push(totalTime);
-      functionSamples.selfTimes.push(selfTime);
+    getSessionNames: function() {
+      return this.keys(this.sessions);
     },
 
-    getReport: function() {
-      var report = {}, samples = this.getSamples();
-      for (var name in samples) {
-        if (samples.hasOwnProperty(name)) {
-          var functionSamples = samples[name];
-          report[name] = {
-            numCalls: functionSamples.totalTimes.length,
-            selfTime: this.statistics(functionSamples.selfTimes),
-            totalTime: this.statistics(functionSamples.totalTimes)
-          };
+    off: function(type, listener) {
+      if (!this.listeners.hasOwnProperty(type)) {
+        throw Error('Unknown event: ' + type);
+      }
+
+      var listeners = this.listeners[type];
+      if (listener === void 0) {
+        listeners.length = 0;
+      }
+      else if (listeners.indexOf(listener) !== -1) {
+        listeners.splice(listeners.indexOf(listener), 1);
+      }
+
+      return this;
+    },
+
+    on: function(type, listener) {
+      if (!this.listeners.hasOwnProperty(type)) {
+        throw Error('Unknown event: ' + type);
+      }
+
+      if (typeof listener !== 'function') {
+        throw TypeError('Expected function as listener, but received a ' + typeof listener);
+      }
+
+      this.listeners[type].push(listener);
+      return this;
+    },
+
+    reset: function(sessionName) {
+      if (sessionName === void 0) {
+        this.sessions = {};
+        sessionName = this.session.name;
+      }
+
+      var session = this.sessions[sessionName] = this.createSession(sessionName);
+      if (sessionName === this.session.name) {
+        this.session = session;
+      }
+
+      return this;
+    },
+
+    'import': function(transfer, sessionName) {
+      if (!transfer || transfer.version !== exports.transferVersion) {
+        throw Error('Expected transfer data of version ' + exports.transferVersion);
+      }
+
+      var unit = transfer.metadata && transfer.metadata.unit;
+      if (unit && unit !== this.clock.unit) {
+        throw Error('Can\'t import samples measured in ' + unit + ' into a profile measured in ' + this.clock.unit);
+      }
+
+      // samples are merged into the session and kept per source
+      var session = this.getSession(sessionName), sources = session.sources;
+      var sourceSamples = sources.hasOwnProperty(transfer.source)
+        ? sources[transfer.source]
+        : (sources[transfer.source] = {});
+
+      for (var name in transfer.samples) {
+        if (transfer.samples.hasOwnProperty(name)) {
+          var functionSamples = transfer.samples[name];
+          if (!session.samples.hasOwnProperty(name)) {
+            session.samples[name] = this.createSampleRecord();
+          }
+          if (!sourceSamples.hasOwnProperty(name)) {
+            sourceSamples[name] = this.createSampleRecord();
+          }
+          this.importSampleRecord(session.samples[name], functionSamples);
+          this.importSampleRecord(sourceSamples[name], functionSamples);
         }
       }
 
-      return report;
+      return this;
+    },
+
+    importSampleRecord: function(record, imported) {
+      var i, len;
+      if (imported.outcomes) {
+        for (i = 0, len = imported.totalTimes.length; i < len; i++) {
+          var outcome = imported.outcomes[i], totalTime = imported.totalTimes[i], selfTime = imported.selfTimes[i];
+          record.totalTimes.push(totalTime);
+          record.selfTimes.push(selfTime);
+          if (record.outcomes) {
+            record.outcomes.push(outcome);
+          }
+          else {
+            record.byOutcome[outcome].totalTimes.push(totalTime);
+            record.byOutcome[outcome].selfTimes.push(selfTime);
+          }
+        }
+      }
+      else if (record.byOutcome) {
+        record.totalTimes.merge(imported.totalTimes);
+        record.selfTimes.merge(imported.selfTimes);
+        for (var key in record.byOutcome) {
+          if (record.byOutcome.hasOwnProperty(key)) {
+            record.byOutcome[key].totalTimes.merge(imported.byOutcome[key].totalTimes);
+            record.byOutcome[key].selfTimes.merge(imported.byOutcome[key].selfTimes);
+          }
+        }
+      }
+      else {
+        throw Error('Samples of streaming storage can only be imported into streaming storage');
+      }
+
+      for (var type in imported.errorTypes) {
+        if (imported.errorTypes.hasOwnProperty(type)) {
+          record.errorTypes[type] = (record.errorTypes[type] || 0) + imported.errorTypes[type];
+        }
+      }
+      record.numSkipped += imported.numSkipped;
+
+      if (imported.asyncTimes) {
+        if (!record.asyncTimes) {
+          record.asyncTimes = this.createSeries();
+          record.numSucceeded = record.numFailed = 0;
+        }
+        this.importSeries(record.asyncTimes, imported.asyncTimes);
+        record.numSucceeded += imported.numSucceeded;
+        record.numFailed += imported.numFailed;
+      }
+
+      if (imported.totalHeaps) {
+        if (!record.totalHeaps) {
+          record.totalHeaps = this.createSeries();
+          record.selfHeaps = this.createSeries();
+        }
+        this.importSeries(record.totalHeaps, imported.totalHeaps);
+        this.importSeries(record.selfHeaps, imported.selfHeaps);
+      }
+
+      if (imported.lifetimes) {
+        if (!record.lifetimes) {
+          record.lifetimes = this.createSeries();
+          record.numIterators = record.numYields = 0;
+        }
+        this.importSeries(record.lifetimes, imported.lifetimes);
+        record.numIterators += imported.numIterators;
+        record.numYields += imported.numYields;
+      }
+
+      if (imported.bucketKeys) {
+        var bucketKeys = record.bucketKeys || (record.bucketKeys = []);
+        for (i = 0, len = imported.bucketKeys.length; i < len; i++) {
+          if (bucketKeys.indexOf(imported.bucketKeys[i]) === -1) {
+            bucketKeys.push(imported.bucketKeys[i]);
+          }
+        }
+      }
+      if (imported.bucketOf) {
+        record.bucketOf = imported.bucketOf;
+      }
+    },
+
+    importSeries: function(series, imported) {
+      // exact samples are arrays, streaming ones serialised streaming series
+      if (imported.reservoir) {
+        if (!(series instanceof StreamingSeries)) {
+          throw Error('Samples of streaming storage can only be imported into streaming storage');
+        }
+        series.merge(imported);
+      }
+      else {
+        for (var i = 0, len = imported.length; i < len; i++) {
+          series.push(imported[i]);
+        }
+      }
+    },
+
+    restoreAll: function() {
+      var wrappedProperties = this.wrappedProperties;
+      for (var i = wrappedProperties.length - 1; i >= 0; i--) {
+        this.restoreProperty(wrappedProperties[i]);
+      }
+
+      this.seenObjects = [];
+      this.seenNames = [];
+      this.wrappedFunctions = [];
+      this.wrappedProperties = [];
+    },
+
+    restoreProperty: function(entry) {
+      var object = entry.object, key = entry.key;
+
+      // don't overwrite values that were replaced after wrapping
+      if (entry.accessor) {
+        var current = Object.getOwnPropertyDescriptor(object, key);
+        if (current && current.get === entry.get && current.set === entry.set) {
+          Object.defineProperty(object, key, entry.descriptor);
+        }
+      }
+      else if (object[key] === entry.wrapper) {
+        if (entry.descriptor && !entry.descriptor.writable) {
+          Object.defineProperty(object, key, entry.descriptor);
+        }
+        else {
+          object[key] = entry.original;
+        }
+      }
+    },
+
+    serializeCallTreeNode: function(node) {
+      var children = {};
+      for (var name in node.children) {
+        if (node.children.hasOwnProperty(name)) {
+          children[name] = this.serializeCallTreeNode(node.children[name]);
+        }
+      }
+
+      return {
+        name: node.name,
+        calls: node.calls,
+        selfTime: node.selfTime,
+        totalTime: node.totalTime,
+        children: children
+      };
     },
 
-    getSamples: function() {
-      return this.samples;
+    splitByOutcome: function(functionSamples) {
+      var outcomes = functionSamples.outcomes;
+      var split = {
+        returned: {totalTimes: [], selfTimes: []},
+        threw: {totalTimes: [], selfTimes: []}
+      };
+
+      for (var i = 0, len = outcomes.length; i < len; i++) {
+        var outcome = split[outcomes[i]];
+        outcome.totalTimes.push(functionSamples.totalTimes[i]);
+        outcome.selfTimes.push(functionSamples.selfTimes[i]);
+      }
+
+      return split;
     },
 
-    getTime: Date.now || function() { return new Date().getTime(); },
+    start: function(sessionName) {
+      if (sessionName !== void 0) {
+        this.session = this.sessions.hasOwnProperty(sessionName)
+          ? this.sessions[sessionName]
+          : (this.sessions[sessionName] = this.createSession(sessionName));
+      }
+      this.recording = true;
+
+      return this;
+    },
 
     statistics: function(samples) {
+      if (samples instanceof StreamingSeries) {
+        return this.streamingStatistics(samples);
+      }
+
       var max = samples[0], min = max, sum = max;
       var numCalls = samples.length;
       for (var i = 1; i < numCalls; i++) {
@@ -72,24 +2268,252 @@
         }
       }
 
-      var median, sorted = samples.slice().sort(function(a, b) { return a - b; });
-      if (numCalls > 0) {
-        median = numCalls % 2 ?
-          sorted[(numCalls - 1) / 2] :
-          (sorted[numCalls / 2] + sorted[numCalls / 2 - 1]) / 2;
+      var mean = numCalls ? sum / numCalls : void 0, squaredDeviations = 0;
+      for (i = 0; i < numCalls; i++) {
+        squaredDeviations += (samples[i] - mean) * (samples[i] - mean);
       }
 
-      return {
+      return this.summarize({
         numCalls: numCalls,
         max: max,
-        mean: numCalls ? sum / numCalls : void 0,
-        median: median,
+        mean: mean,
         min: min,
-        sum: sum
+        sum: sum,
+        variance: numCalls ? squaredDeviations / numCalls : void 0
+      }, sortNumbers(samples));
+    },
+
+    streamingStatistics: function(series) {
+      var numCalls = series.length;
+      return this.summarize({
+        numCalls: numCalls,
+        max: series.max,
+        mean: numCalls ? series.sum / numCalls : void 0,
+        min: series.min,
+        sum: numCalls ? series.sum : void 0,
+        variance: series.variance()
+      }, sortNumbers(series.reservoir));
+    },
+
+    summarize: function(statistics, sorted) {
+      var variance = statistics.variance;
+      statistics.median = quantile(sorted, 0.5);
+      statistics.stdDev = variance === void 0 ? void 0 : Math.sqrt(variance);
+
+      var percentiles = this.options.percentiles || [75, 90, 95, 99];
+      for (var i = 0, len = percentiles.length; i < len; i++) {
+        statistics['p' + percentiles[i]] = quantile(sorted, percentiles[i] / 100);
+      }
+
+      var numBuckets = this.options.histogram;
+      if (numBuckets) {
+        statistics.histogram = histogram(
+          sorted,
+          statistics.min,
+          statistics.max,
+          numBuckets === true ? 10 : numBuckets,
+          sorted.length ? statistics.numCalls / sorted.length : 1
+        );
+      }
+
+      return statistics;
+    },
+
+    stop: function() {
+      this.recording = false;
+
+      return this;
+    },
+
+    trackCallback: function(name, args, start, session) {
+      var callback = args[args.length - 1];
+      if (typeof callback !== 'function') {
+        return args;
+      }
+
+      var profiler = this, getTime = this.getTime, settled = false;
+      args = Array.prototype.slice.call(args);
+      args[args.length - 1] = function() {
+        // callbacks follow the error-first convention
+        if (!settled) {
+          settled = true;
+          var error = arguments[0];
+          profiler.addAsyncSample(name, getTime() - start, error === null || error === void 0, session);
+        }
+
+        return callback.apply(this, arguments);
+      };
+
+      return args;
+    },
+
+    trackIterator: function(name, iterator, measure) {
+      if (iterator === null || typeof iterator !== 'object' || typeof iterator.next !== 'function') {
+        return iterator;
+      }
+
+      var profiler = this, session = this.session, created = this.getTime(), finished = false;
+      this.getIteratorSamples(name, session).numIterators += 1;
+
+      // the lifetime belongs to the session the iterator was created in
+      function finish() {
+        if (!finished) {
+          finished = true;
+          profiler.getIteratorSamples(name, session).lifetimes.push(profiler.getTime() - created);
+        }
+      }
+
+      // yields belong to the session of their resumption
+      function settle(result, resumedSession) {
+        if (result && result.done) {
+          finish();
+        }
+        else if (!finished) {
+          profiler.getIteratorSamples(name, resumedSession).numYields += 1;
+        }
+      }
+
+      function resume(method) {
+        var original = iterator[method];
+        var call = function(thisArg, args) {
+          return original.apply(thisArg, args);
+        };
+
+        return function() {
+          var result, resumedSession = profiler.session;
+          try {
+            result = measure(call, this, arguments);
+          } catch (e) {
+            finish();
+            throw e;
+          }
+
+          // async generators resolve their results later
+          if (isThenable(result)) {
+            return observeThenable(result, function(value) { settle(value, resumedSession); }, finish);
+          }
+
+          settle(result, resumedSession);
+          return result;
+        };
+      }
+
+      // resumption methods are shadowed on the iterator itself, so that it stays iterable
+      var methods = ['next', 'throw', 'return'];
+      for (var i = 0; i < methods.length; i++) {
+        if (typeof iterator[methods[i]] === 'function') {
+          iterator[methods[i]] = resume(methods[i]);
+        }
+      }
+
+      return iterator;
+    },
+
+    trackPromise: function(name, promise, start, session) {
+      var profiler = this, getTime = this.getTime;
+      return observeThenable(promise, function() {
+        profiler.addAsyncSample(name, getTime() - start, true, session);
+      }, function() {
+        profiler.addAsyncSample(name, getTime() - start, false, session);
+      });
+    },
+
+    unwrap: function(target) {
+      var name = typeof target === 'string' ? target : this.getWrappedName(target);
+      if (name === void 0) {
+        return target;
+      }
+
+      var original = target, i;
+      var wrappedProperties = this.wrappedProperties;
+      for (i = wrappedProperties.length - 1; i >= 0; i--) {
+        if (hasNamePrefix(wrappedProperties[i].name, name)) {
+          this.restoreProperty(wrappedProperties[i]);
+          wrappedProperties.splice(i, 1);
+        }
+      }
+
+      var wrappedFunctions = this.wrappedFunctions;
+      for (i = wrappedFunctions.length - 1; i >= 0; i--) {
+        if (hasNamePrefix(wrappedFunctions[i].name, name)) {
+          if (wrappedFunctions[i].wrapper === target) {
+            original = wrappedFunctions[i].original;
+          }
+          wrappedFunctions.splice(i, 1);
+        }
+      }
+
+      // forget unwrapped objects, so that they can be wrapped again
+      var seenObjects = this.seenObjects, seenNames = this.seenNames;
+      for (i = seenNames.length - 1; i >= 0; i--) {
+        if (hasNamePrefix(seenNames[i], name)) {
+          seenObjects.splice(i, 1);
+          seenNames.splice(i, 1);
+        }
+      }
+
+      return original;
+    },
+
+    wrapAccessor: function(name, object, key, descriptor, options, depth) {
+      var getName = name + ' [get]', setName = name + ' [set]';
+      var wrapGet = descriptor.get && this.isIncluded(getName, options) && !this.isExcluded(getName, options);
+      var wrapSet = descriptor.set && this.isIncluded(setName, options) && !this.isExcluded(setName, options);
+      if (!wrapGet && !wrapSet) {
+        return;
+      }
+
+      if (!descriptor.configurable) {
+        this.uninstrumented.push({name: name, reason: 'accessor is not configurable'});
+        return;
+      }
+
+      var get = wrapGet ? this.wrapFunction(getName, descriptor.get, options, depth) : descriptor.get;
+      var set = wrapSet ? this.wrapFunction(setName, descriptor.set, options, depth) : descriptor.set;
+      Object.defineProperty(object, key, {
+        get: get,
+        set: set,
+        enumerable: descriptor.enumerable,
+        configurable: true
+      });
+      this.wrappedProperties.push({
+        name: name,
+        object: object,
+        key: key,
+        accessor: true,
+        descriptor: descriptor,
+        get: get,
+        set: set
+      });
+    },
+
+    wrapDescriptors: function(objectName, object, options, depth) {
+      var names = Object.getOwnPropertyNames(object);
+      for (var i = 0, len = names.length; i < len; i++) {
+        var key = names[i], name = objectName + '.' + key;
+        if ((key === 'prototype' && typeof object === 'function') || this.isExcluded(name, options)) {
+          continue;
+        }
+
+        // reading descriptors does not trigger accessors
+        var descriptor = Object.getOwnPropertyDescriptor(object, key);
+        if (descriptor.get || descriptor.set) {
+          this.wrapAccessor(name, object, key, descriptor, options, depth + 1);
+          continue;
+        }
+
+        var value = descriptor.value;
+        if (typeof value === 'function' && this.isIncluded(name, options)) {
+          this.wrapProperty(name, object, key, options, depth + 1);
+        }
+
+        if (value !== null && (typeof value === 'object' || typeof value === 'function')) {
+          this.wrapObject(name, value, options, depth + 1);
+        }
       }
     },
 
-    wrapFunction: function(name, func) {
+    wrapFunction: function(name, func, options, depth) {
       if (typeof name !== 'string') {
         throw TypeError('Expected string as first argument, but received a ' + typeof name);
       }
@@ -103,38 +2527,218 @@
       }
 
       var profiler = this;
-      var getTime = this.getTime, totalTimesStack = this.totalTimesStack;
-      var wrapper = function wrapper() {
-        var lastIndex, returnValue, start, time;
+      var getTime = this.getTime;
+      var getHeapUsed = this.getHeapUsed;
+      var async = this.getOption(options, 'async');
+      var trackCallbacks = async === true || async === 'callback';
+      var generatorFunction = isGeneratorFunction(func), generator = this.getOption(options, 'generator');
+      if (generator === void 0) {
+        generator = generatorFunction;
+      }
+
+      // resumptions of async generators return promises, which are always tracked
+      var trackPromises = async === true || async === 'promise' || generator;
+      var sampling = this.getOption(options, 'sampling') || {};
+      var sampleEvery = sampling.every, sampleRate = sampling.rate, callIndex = 0;
+      var keyFunction = this.getOption(options, 'key');
+      var maxBuckets = this.getOption(options, 'maxBuckets') || 100;
+      var useProxy = this.getOption(options, 'proxy') && typeof Proxy === 'function' && typeof Reflect === 'object';
+      var wrapper;
+
+      // constructs through the original, so that classes and `new.target` work
+      var invoke = function(thisArg, args, newTarget) {
+        return newTarget
+          ? Reflect.construct(func, args, newTarget === wrapper ? func : newTarget)
+          : func.apply(thisArg, args);
+      };
+
+      var measure = function(call, thisArg, args, newTarget) {
+        // calls pass straight through while the profiler is stopped
+        if (!profiler.recording) {
+          return call(thisArg, args, newTarget);
+        }
+
+        // in sampling mode, calls are only counted unless they are timed
+        if ((sampleEvery && callIndex++ % sampleEvery !== 0) ||
+            (sampleRate !== void 0 && Math.random() >= sampleRate)) {
+          return skip(call, thisArg, args, newTarget);
+        }
+
+        var bucket, error, lastIndex, level, node, returnValue, selfTime, start, time;
+        var excludedStart, heap, heapStart, parent, selfHeap, timestamp;
+        var outcome = 'returned', session = profiler.session, totalTimesStack = session.totalTimesStack;
+        var heapStack = session.heapStack, listeners = profiler.listeners;
+
+        if (keyFunction) {
+          bucket = profiler.getBucketName(name, keyFunction, thisArg, args, maxBuckets, session);
+        }
 
         // add level to total times stack for all nested functions
         totalTimesStack.push(0);
-        totalTimesStack.lastIndex += 1;
+        level = totalTimesStack.lastIndex += 1;
+        parent = session.callTreeStack[session.callTreeStack.length - 1];
+        parent = parent === session.callTree ? null : parent.name;
+        node = profiler.enterCallTreeNode(session, name);
+        if (getHeapUsed) {
+          heapStack.push(0);
+          heapStart = getHeapUsed();
+        }
+
+        // timestamps of events leave out the time spent in listeners, like durations do,
+        // so that nested calls stay within their callers
+        if (listeners.call.length) {
+          profiler.emit(session, 'call', {
+            name: name,
+            start: getTime() - session.excludedTime,
+            depth: level,
+            parent: parent
+          });
+        }
 
         // measure time and execute wrapped function
+        excludedStart = session.excludedTime;
         start = getTime();
+        timestamp = start - excludedStart;
+        if (trackCallbacks) {
+          args = profiler.trackCallback(name, args, start, session);
+        }
+
         try {
-          returnValue = func.apply(this, arguments);
+          returnValue = call(thisArg, args, newTarget);
+        } catch (e) {
+          outcome = 'threw';
+          error = e;
+          throw e;
         } finally {
-          time = getTime() - start;
-          profiler.addSample(name, time, time - totalTimesStack.pop());
+          // time spent in listeners of nested calls is not part of this call
+          time = getTime() - start - (session.excludedTime - excludedStart);
+          if (getHeapUsed) {
+            heap = getHeapUsed() - heapStart;
+          }
+          selfTime = time - totalTimesStack.pop();
+          if (profiler.options.subtractOverhead && profiler.overhead) {
+            selfTime = Math.max(0, selfTime - profiler.overhead);
+          }
+          profiler.addSample(name, time, selfTime, outcome, error, session);
+          if (bucket) {
+            profiler.addSample(bucket, time, selfTime, outcome, error, session);
+          }
+          profiler.exitCallTreeNode(session, node, time, selfTime);
+          if (session.events) {
+            profiler.addEvent(session, name, timestamp, time, level, outcome);
+          }
 
           // remove level from total times stack
           lastIndex = totalTimesStack.lastIndex -= 1;
 
           // add time to the total times stack
           totalTimesStack[lastIndex] += time;
+
+          // heap deltas are attributed like times, but can be negative after a garbage collection
+          if (getHeapUsed) {
+            selfHeap = heap - heapStack.pop();
+            profiler.addHeapSample(name, heap, selfHeap, session);
+            if (bucket) {
+              profiler.addHeapSample(bucket, heap, selfHeap, session);
+            }
+            heapStack[lastIndex] += heap;
+          }
+
+          if (listeners[outcome === 'threw' ? 'throw' : 'return'].length) {
+            profiler.emit(session, outcome === 'threw' ? 'throw' : 'return', {
+              name: name,
+              start: timestamp,
+              end: timestamp + time,
+              totalTime: time,
+              selfTime: selfTime,
+              depth: level,
+              parent: parent,
+              outcome: outcome,
+              error: error,
+              returnValue: returnValue
+            });
+          }
+        }
+
+        // asynchronous wall time is recorded separately when the result settles
+        if (trackPromises && isThenable(returnValue)) {
+          returnValue = profiler.trackPromise(name, returnValue, start, session);
         }
 
         return returnValue;
       };
 
-      this.wrapObject(name, func);
+      // skipped calls aren't recorded, but still take their place in the stacks, so that
+      // their time isn't attributed to the self time of their caller
+      var skip = function(call, thisArg, args, newTarget) {
+        var session = profiler.session, totalTimesStack = session.totalTimesStack, heapStack = session.heapStack;
+        var excludedStart, heap, heapStart, lastIndex, node, start, time;
+
+        profiler.addSkippedCall(name, session);
+        if (keyFunction) {
+          profiler.addSkippedCall(profiler.getBucketName(name, keyFunction, thisArg, args, maxBuckets, session), session);
+        }
+
+        totalTimesStack.push(0);
+        totalTimesStack.lastIndex += 1;
+        node = profiler.enterCallTreeNode(session, name);
+        if (getHeapUsed) {
+          heapStack.push(0);
+          heapStart = getHeapUsed();
+        }
+
+        excludedStart = session.excludedTime;
+        start = getTime();
+        try {
+          return call(thisArg, args, newTarget);
+        } finally {
+          time = getTime() - start - (session.excludedTime - excludedStart);
+          profiler.exitCallTreeNode(session, node, time, time - totalTimesStack.pop());
+          lastIndex = totalTimesStack.lastIndex -= 1;
+          totalTimesStack[lastIndex] += time;
+          if (getHeapUsed) {
+            heap = getHeapUsed() - heapStart;
+            heapStack.pop();
+            heapStack[lastIndex] += heap;
+          }
+        }
+      };
+
+      var profile = function(thisArg, args, newTarget) {
+        // generators are timed on every resumption of their iterators, not on creation.
+        // other functions run code before returning, and might not return iterators at all
+        if (generator && profiler.recording) {
+          return profiler.trackIterator(name, generatorFunction
+            ? invoke(thisArg, args, newTarget)
+            : measure(invoke, thisArg, args, newTarget), measure);
+        }
+
+        return measure(invoke, thisArg, args, newTarget);
+      };
+
+      if (useProxy) {
+        wrapper = this.createProxy(func, profile);
+      }
+      else {
+        wrapper = function wrapper() {
+          return profile(this, arguments);
+        };
+      }
+
+      this.wrapObject(name, func, options, depth);
+      this.wrappedFunctions.push({name: name, original: func, wrapper: wrapper});
 
-      wrapper.prototype = func.prototype;
-      for (var key in func) {
-        if (func.hasOwnProperty(key)) {
-          wrapper[key] = func[key];
+      // prevent wrapping the wrapper again, e.g. when it is re-exported
+      this.seenObjects.push(wrapper);
+      this.seenNames.push(name);
+
+      // proxies forward all other properties to the original
+      if (!useProxy) {
+        wrapper.prototype = func.prototype;
+        for (var key in func) {
+          if (func.hasOwnProperty(key)) {
+            wrapper[key] = func[key];
+          }
         }
       }
 
@@ -143,37 +2747,102 @@
 
     keys: Object.keys || keys,
 
-    wrapObject: function(objectName, object) {
+    wrapMethod: function(objectName, object, methodName, options) {
+      var name = objectName + '.' + methodName;
+      if (typeof object[methodName] !== 'function') {
+        throw TypeError('Expected ' + name + ' to be a function, but received a ' + typeof object[methodName]);
+      }
+
+      return this.wrapProperty(name, object, methodName, options, 0);
+    },
+
+    wrapObject: function(objectName, object, options, depth) {
       if (object === null || object === void 0) {
         return object;
       }
 
+      depth = depth || 0;
+      if (depth > this.getOption(options, 'maxDepth') || this.isExcluded(objectName, options)) {
+        return object;
+      }
+
       var seenObjects = this.seenObjects;
       if (seenObjects.indexOf(object) !== -1) {
         return object;
       }
       seenObjects.push(object);
+      this.seenNames.push(objectName);
+
+      if (typeof object === 'function' && this.getOption(options, 'prototypes') !== false) {
+        this.wrapObject(objectName + '.prototype', object.prototype, options, depth + 1);
+      }
 
-      if (typeof object === 'function') {
-        this.wrapObject(objectName + '.prototype', object.prototype, seenObjects);
+      if (this.getOption(options, 'descriptors')) {
+        this.wrapDescriptors(objectName, object, options, depth);
+        return object;
       }
 
       var names = this.keys(object);
       for (var i = 0, len = names.length; i < len; i++) {
-        var key = names[i], value = object[key];
+        var key = names[i], value = object[key], name = objectName + '.' + key;
+        if (this.isExcluded(name, options)) {
+          continue;
+        }
+
         switch(typeof value) {
           case 'function':
-            object[key] = this.wrapFunction(objectName + '.' + key,object[key]);
+            if (this.isIncluded(name, options)) {
+              this.wrapProperty(name, object, key, options, depth + 1);
+            }
           // fallthrough intended
           case 'object':
             if (value !== null) {
-              this.wrapObject(objectName + '.' + key, value, seenObjects);
+              this.wrapObject(name, value, options, depth + 1);
             }
             break;
         }
       }
 
       return object;
+    },
+
+    wrapProperty: function(name, object, key, options, depth) {
+      var original = object[key];
+      var descriptor = Object.getOwnPropertyDescriptor && Object.getOwnPropertyDescriptor(object, key);
+
+      // checked before wrapping, so that no wrapper is registered that can't be installed
+      if (descriptor && 'value' in descriptor && !descriptor.writable && !descriptor.configurable) {
+        this.uninstrumented.push({name: name, reason: 'property is not writable and not configurable'});
+        return original;
+      }
+
+      var wrapper = this.wrapFunction(name, original, options, depth);
+      if (wrapper === original) {
+        return wrapper;
+      }
+
+      if (descriptor && 'value' in descriptor && !descriptor.writable) {
+        Object.defineProperty(object, key, {
+          value: wrapper,
+          writable: false,
+          enumerable: descriptor.enumerable,
+          configurable: descriptor.configurable
+        });
+      }
+      else {
+        object[key] = wrapper;
+      }
+
+      this.wrappedProperties.push({
+        name: name,
+        object: object,
+        key: key,
+        descriptor: descriptor,
+        original: original,
+        wrapper: wrapper
+      });
+
+      return wrapper;
     }
   };
 }(typeof exports !== 'undefined' ? exports : (this.prfl = {})));
@@ -0,0 +1,205 @@
+var expect = require('expect.js');
+var sinon = require('sinon');
+var prfl = require('../src/prfl');
+var bench = prfl.bench;
+
+suite('bench()', function() {
+  var clock;
+  setup(function() {
+    clock = prfl.clocks.fake();
+  });
+
+  // candidate that takes the given times in turn
+  function cycle(times) {
+    var i = 0;
+    return function() {
+      clock.tick(times[i++ % times.length]);
+    };
+  }
+
+  test('returns a promise of the results for every candidate', function() {
+    return bench({a: cycle([1]), b: cycle([2])}, {clock: clock, maxTime: 50}).then(function(result) {
+      expect(result.candidates).to.only.have.keys('a', 'b');
+      expect(result.candidates.a.opsPerSecond).to.be(1000);
+      expect(result.candidates.b.opsPerSecond).to.be(500);
+      expect(result.fastest).to.be('a');
+    });
+  });
+
+  test('reports statistics, margin of error and confidence interval', function() {
+    var options = {clock: clock, warmup: 0, minSamples: 3, maxSamples: 3};
+    return bench({a: cycle([1, 2, 3])}, options).then(function(result) {
+      var a = result.candidates.a;
+      expect(a.numSamples).to.be(3);
+      expect(a.time.mean).to.be(2);
+      expect(a.time.median).to.be(2);
+      expect(a.time).to.have.keys('min', 'max', 'variance', 'stdDev', 'p95');
+      expect(a.sampleVariance).to.be(1);
+      expect(a.marginOfError).to.be.within(2.4841, 2.4842);
+      expect(a.relativeMarginOfError).to.be.within(1.2420, 1.2421);
+      expect(a.confidenceInterval[0]).to.be.within(-0.4842, -0.4841);
+    });
+  });
+
+  test('records samples into a profiler', function() {
+    var profiler = new prfl.Profiler({clock: clock});
+    var options = {profiler: profiler, warmup: 0, minSamples: 5, maxSamples: 5};
+    return bench({a: cycle([1])}, options).then(function(result) {
+      expect(result.profiler).to.be(profiler);
+      expect(profiler.getReport().a.numCalls).to.be(5);
+    });
+  });
+
+  test('skips warm-up iterations', function() {
+    var fn = sinon.spy(cycle([1]));
+    return bench({a: fn}, {clock: clock, warmup: 7, minSamples: 5, maxSamples: 5}).then(function(result) {
+      expect(fn.callCount).to.be(12);
+      expect(result.candidates.a.numSamples).to.be(5);
+    });
+  });
+
+  test('runs until the target time is reached', function() {
+    return bench({a: cycle([2])}, {clock: clock, warmup: 0, maxTime: 100}).then(function(result) {
+      expect(result.candidates.a.numSamples).to.be(50);
+    });
+  });
+
+  test('times batches of iterations that are too fast for a sample of their own', function() {
+    var fn = sinon.spy(cycle([1]));
+    var options = {clock: clock, warmup: 0, minSamples: 5, maxSamples: 5, minSampleTime: 10};
+    return bench({a: fn}, options).then(function(result) {
+      var a = result.candidates.a;
+      expect(a.numSamples).to.be(5);
+      expect(a.iterationsPerSample).to.be(10);
+      expect(a.numIterations).to.be(50);
+      expect(a.time.mean).to.be(1);
+      expect(fn.callCount).to.be(51);
+    });
+  });
+
+  test('samples span a thousandth of the target time by default', function() {
+    return bench({a: cycle([0.01])}, {clock: clock, warmup: 0, maxTime: 100}).then(function(result) {
+      var a = result.candidates.a;
+      expect(a.iterationsPerSample).not.to.be.lessThan(10);
+      expect(a.numSamples).not.to.be.greaterThan(1000);
+      expect(a.time.mean).to.be.within(0.0099, 0.0101);
+    });
+  });
+
+  test('stops early once the relative margin of error is reached', function() {
+    var options = {clock: clock, warmup: 0, maxTime: 1e6, maxMargin: 0.05};
+    return bench({a: cycle([1, 1.1])}, options).then(function(result) {
+      expect(result.candidates.a.numSamples).to.be.lessThan(100);
+      expect(result.candidates.a.relativeMarginOfError).not.to.be.greaterThan(0.05);
+    });
+  });
+
+  test('runs setup and teardown around every iteration outside of the timed region', function() {
+    var calls = [], state = {};
+    var candidate = {
+      setup: function() {
+        calls.push('setup');
+        clock.tick(100);
+        return state;
+      },
+      fn: function(received) {
+        expect(received).to.be(state);
+        calls.push('fn');
+        clock.tick(1);
+      },
+      teardown: function(received) {
+        expect(received).to.be(state);
+        calls.push('teardown');
+        clock.tick(100);
+      }
+    };
+
+    return bench({a: candidate}, {clock: clock, warmup: 1, minSamples: 2, maxSamples: 2}).then(function(result) {
+      expect(calls).to.eql(['setup', 'fn', 'teardown', 'setup', 'fn', 'teardown', 'setup', 'fn', 'teardown']);
+      expect(result.candidates.a.time.max).to.be(1);
+    });
+  });
+
+  test('uses setup and teardown options for all candidates', function() {
+    var setup = sinon.spy(), teardown = sinon.spy();
+    var options = {clock: clock, warmup: 0, minSamples: 2, maxSamples: 2, setup: setup, teardown: teardown};
+    return bench({a: cycle([1]), b: cycle([1])}, options).then(function() {
+      expect(setup.callCount).to.be(4);
+      expect(teardown.callCount).to.be(4);
+    });
+  });
+
+  test('waits for promises returned by async candidates', function() {
+    var async = function() {
+      return Promise.resolve().then(function() { clock.tick(3); });
+    };
+    return bench({async: async}, {clock: clock, warmup: 2, minSamples: 4, maxSamples: 4}).then(function(result) {
+      expect(result.candidates.async.numSamples).to.be(4);
+      expect(result.candidates.async.time.mean).to.be(3);
+    });
+  });
+
+  test('rejects when a candidate throws or rejects', function() {
+    var error = Error('fail');
+    return bench({a: function() { throw error; }}, {clock: clock}).then(function() {
+      throw Error('expected rejection');
+    }, function(e) {
+      expect(e).to.be(error);
+      return bench({b: function() { return Promise.reject(error); }}, {clock: clock});
+    }).then(function() {
+      throw Error('expected rejection');
+    }, function(e) {
+      expect(e).to.be(error);
+    });
+  });
+
+  test('tests differences between candidates for significance', function() {
+    var options = {clock: clock, warmup: 0, minSamples: 3, maxSamples: 3};
+    return bench({a: cycle([1, 2, 3]), b: cycle([4, 5, 6]), c: cycle([1.5, 2.5, 1.5])}, options).then(function(result) {
+      expect(result.comparisons).to.have.length(3);
+
+      var ab = result.comparisons[0];
+      expect([ab.a, ab.b]).to.eql(['a', 'b']);
+      expect(ab.difference).to.be(-3);
+      expect(ab.t).to.be.within(-3.6743, -3.6742);
+      expect(ab.degreesOfFreedom).to.be(4);
+      expect(ab.pValue).to.be.within(0.0213, 0.0214);
+      expect(ab.significant).to.be(true);
+      expect(ab.faster).to.be('a');
+
+      var ac = result.comparisons[1];
+      expect(ac.significant).to.be(false);
+      expect(ac).to.have.property('faster', undefined);
+    });
+  });
+
+  test('the confidence level is configurable', function() {
+    var options = {clock: clock, warmup: 0, minSamples: 3, maxSamples: 3, confidence: 0.99};
+    return bench({a: cycle([1, 2, 3]), b: cycle([4, 5, 6])}, options).then(function(result) {
+      expect(result.confidence).to.be(0.99);
+      expect(result.comparisons[0].significant).to.be(false);
+      expect(result.candidates.a.marginOfError).to.be.within(5.7300, 5.7302);
+    });
+  });
+
+  test('derives operations per second from the unit of the clock', function() {
+    var microseconds = {name: 'fake', unit: 'µs', now: clock.now};
+    return bench({a: cycle([1])}, {clock: microseconds, maxTime: 50}).then(function(result) {
+      expect(result.candidates.a.opsPerSecond).to.be(1e6);
+    });
+  });
+
+  test('throws for clocks that don\'t measure time', function() {
+    var ticks = {name: 'ticks', unit: 'ticks', now: clock.now};
+    expect(function() { bench({a: cycle([1])}, {clock: ticks}); }).to.throwException(/unit of the clock is ticks/);
+  });
+
+  test('throws a TypeError for invalid candidates', function() {
+    expect(function() { bench(null); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+    expect(function() { bench({a: 'not a function'}); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+var expect = require('expect.js');
+var childProcess = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var bin = path.join(__dirname, '..', 'bin', 'prfl');
+var fixtures = path.join(__dirname, 'fixtures', 'cli');
+
+function prfl(args) {
+  return childProcess.spawnSync(process.execPath, [bin].concat(args), {cwd: fixtures, encoding: 'utf8'});
+}
+
+suite('prfl run', function() {
+  this.timeout(10000);
+
+  var budgetFile = path.join(os.tmpdir(), 'prfl-budget-' + process.pid + '.json');
+  var outputFile = path.join(os.tmpdir(), 'prfl-output-' + process.pid + '.json');
+
+  teardown(function() {
+    [budgetFile, outputFile].forEach(function(file) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  test('writes the JSON report of instrumented modules to stdout', function() {
+    var result = prfl(['run', 'main.js', '3']);
+
+    expect(result.status).to.be(0);
+    var report = JSON.parse(result.stdout);
+    expect(report).to.only.have.key('lib.work');
+    expect(report['lib.work'].numCalls).to.be(3);
+  });
+
+  test('only instruments modules matching include and exclude globs', function() {
+    var result = prfl(['run', '--include', 'main', 'main.js']);
+    expect(JSON.parse(result.stdout)).to.eql({});
+
+    result = prfl(['run', '--exclude=lib', 'main.js']);
+    expect(JSON.parse(result.stdout)).to.eql({});
+  });
+
+  test('renders text and trace formats', function() {
+    expect(prfl(['run', '--format', 'text', 'main.js']).stdout).to.contain('work');
+
+    var trace = JSON.parse(prfl(['run', '--format', 'trace', 'main.js']).stdout);
+    expect(trace.traceEvents).to.have.length(2);
+  });
+
+  test('renders folded stacks and flame graphs', function() {
+    expect(prfl(['run', '--format', 'folded', 'main.js', '50']).stdout).to.match(/^lib\.work \d+\n$/);
+    expect(prfl(['run', '--format', 'svg', 'main.js', '50']).stdout).to.contain('data-name="lib.work"');
+  });
+
+  test('writes the report to an output file', function() {
+    var result = prfl(['run', '--output', outputFile, 'main.js']);
+
+    expect(result.stdout).to.be('');
+    expect(JSON.parse(fs.readFileSync(outputFile, 'utf8'))['lib.work'].numCalls).to.be(1);
+  });
+
+  test('exits with 2 when a budget is exceeded', function() {
+    fs.writeFileSync(budgetFile, JSON.stringify({'lib.*': {numCalls: 2}}));
+
+    expect(prfl(['run', '--budget', budgetFile, 'main.js', '2']).status).to.be(0);
+
+    var result = prfl(['run', '--budget', budgetFile, 'main.js', '3']);
+    expect(result.status).to.be(2);
+    expect(result.stderr).to.contain('lib.work numCalls is 3, allowed is at most 2');
+  });
+
+  test('instruments exported classes and their methods', function() {
+    var result = prfl(['run', 'classes.js']);
+
+    expect(result.status).to.be(0);
+    var report = JSON.parse(result.stdout);
+    expect(report).to.only.have.keys('shapes.Square', 'shapes.Square.prototype.area');
+    expect(report['shapes.Square'].numCalls).to.be(1);
+  });
+
+  test('passes wrap options on', function() {
+    var report = JSON.parse(prfl(['run', '--wrap', 'descriptors=false', 'classes.js']).stdout);
+    expect(report).to.only.have.key('shapes.Square');
+
+    report = JSON.parse(prfl(['run', '--wrap=exclude=["shapes.**"]', 'classes.js']).stdout);
+    expect(report).to.eql({});
+  });
+
+  test('exits with 1 on invalid usage', function() {
+    expect(prfl([]).status).to.be(1);
+    expect(prfl(['run']).status).to.be(1);
+    expect(prfl(['run', '--format', 'xml', 'main.js']).status).to.be(1);
+  });
+});
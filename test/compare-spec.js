@@ -0,0 +1,99 @@
+var expect = require('expect.js');
+var prfl = require('../src/prfl');
+
+function entry(numCalls, selfMedian, totalMedian) {
+  return {
+    numCalls: numCalls,
+    selfTime: {numCalls: numCalls, median: selfMedian, sum: selfMedian * numCalls},
+    totalTime: {numCalls: numCalls, median: totalMedian, sum: totalMedian * numCalls}
+  };
+}
+
+suite('compare()', function() {
+  var baseline = {
+    stable: entry(10, 1, 2),
+    slower: entry(10, 1, 2),
+    removed: entry(1, 1, 1)
+  };
+  var current = {
+    stable: entry(10, 1.1, 2),
+    slower: entry(20, 1.5, 3),
+    added: entry(5, 1, 1)
+  };
+
+  test('throws a TypeError when receiving a non-object', function() {
+    expect(function() { prfl.compare(null, {}); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+
+  test('returns per-function deltas of calls, self time and total time', function() {
+    var slower = prfl.compare(baseline, current).functions.slower;
+    expect(slower.status).to.be('changed');
+    expect(slower.numCalls).to.eql({baseline: 10, current: 20, delta: 10, relative: 1});
+    expect(slower.selfTime.median).to.eql({baseline: 1, current: 1.5, delta: 0.5, relative: 0.5});
+    expect(slower.totalTime.sum).to.eql({baseline: 20, current: 60, delta: 40, relative: 2});
+  });
+
+  test('lists new and removed functions', function() {
+    var result = prfl.compare(baseline, current);
+    expect(result.added).to.eql(['added']);
+    expect(result.removed).to.eql(['removed']);
+    expect(result.functions.added.status).to.be('added');
+    expect(result.functions.added.numCalls.baseline).to.be(void 0);
+    expect(result.functions.removed.status).to.be('removed');
+    expect(result.functions.removed.selfTime.median.current).to.be(void 0);
+  });
+
+  test('flags a regression of the median self time beyond 20% by default', function() {
+    var result = prfl.compare(baseline, current);
+    expect(result.regressed).to.be(true);
+    expect(result.regressions).to.eql([{
+      name: 'slower',
+      metric: 'selfTime.median',
+      baseline: 1,
+      current: 1.5,
+      relative: 0.5,
+      threshold: 0.2
+    }]);
+  });
+
+  test('uses configurable thresholds', function() {
+    var result = prfl.compare(baseline, current, {thresholds: {'selfTime.median': 0.05, 'numCalls': 0.5}});
+    var regressions = result.regressions.map(function(regression) {
+      return regression.name + ' ' + regression.metric;
+    });
+    expect(regressions).to.eql(['stable selfTime.median', 'slower selfTime.median', 'slower numCalls']);
+  });
+
+  test('ignores changes below the minimum delta', function() {
+    var result = prfl.compare(baseline, current, {thresholds: {'selfTime.median': 0.05}, minDelta: 0.2});
+    expect(result.regressions).to.have.length(1);
+    expect(result.regressions[0].name).to.be('slower');
+  });
+
+  test('does not flag improvements', function() {
+    expect(prfl.compare(current, baseline).regressed).to.be(false);
+  });
+
+  test('treats growth from zero as an infinite relative change', function() {
+    var result = prfl.compare({func: entry(1, 0, 0)}, {func: entry(1, 1, 1)});
+    expect(result.functions.func.selfTime.median.relative).to.be(Infinity);
+    expect(result.regressed).to.be(true);
+  });
+
+  test('accepts snapshots', function() {
+    var profiler = new prfl.Profiler();
+    profiler.wrapFunction('func', function() {})();
+
+    var snapshot = JSON.parse(JSON.stringify(profiler.getSnapshot()));
+    var result = prfl.compare(snapshot, snapshot);
+    expect(result.functions).to.only.have.key('func');
+    expect(result.regressed).to.be(false);
+  });
+
+  test('rejects snapshots of unknown versions', function() {
+    var snapshot = {version: prfl.snapshotVersion + 1, report: {}};
+    expect(function() { prfl.compare(snapshot, {}); }).to.throwException(/version/);
+  });
+});
@@ -0,0 +1,53 @@
+var expect = require('expect.js');
+var prfl = require('../src/prfl');
+var extendExpect = prfl.extendExpect;
+
+suite('extendExpect()', function() {
+  var clock, parse, profiler;
+
+  suiteSetup(function() {
+    extendExpect(expect);
+  });
+
+  setup(function() {
+    clock = prfl.clocks.fake();
+    profiler = new prfl.Profiler({clock: clock});
+    parse = profiler.wrapFunction('parse', function() { clock.tick(3); });
+    parse();
+  });
+
+  test('returns the extended expect function', function() {
+    expect(extendExpect(expect)).to.be(expect);
+  });
+
+  test('adds a meetBudget() matcher', function() {
+    expect(profiler).to.meetBudget({parse: {selfTime: {median: 5}}});
+    expect(profiler).not.to.meetBudget({parse: {selfTime: {median: 2}}});
+  });
+
+  test('failing matchers list the violations', function() {
+    expect(function() {
+      expect(profiler).to.meetBudget({parse: {selfTime: {median: 2}}});
+    }).to.throwException(/parse selfTime.median is 3, allowed is at most 2/);
+  });
+
+  test('meetBudget() checks the given session', function() {
+    profiler.start('other');
+    parse();
+    parse();
+    expect(profiler).to.meetBudget({parse: {numCalls: {min: 2}}}, 'other');
+    expect(profiler).not.to.meetBudget({parse: {numCalls: {min: 2}}}, 'default');
+  });
+
+  test('meetBudget() requires a profiler', function() {
+    expect(function() { expect({}).to.meetBudget({}); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+
+  test('throws a TypeError without an expect.js function', function() {
+    expect(function() { extendExpect({}); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+});
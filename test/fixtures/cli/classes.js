@@ -0,0 +1,3 @@
+var Square = require('./shapes').Square;
+
+new Square(3).area();
@@ -0,0 +1,7 @@
+exports.work = function(n) {
+  var sum = 0;
+  for (var i = 0; i < n; i++) {
+    sum += i;
+  }
+  return sum;
+};
@@ -0,0 +1,6 @@
+var lib = require('./lib');
+
+var times = Number(process.argv[2]) || 1;
+for (var i = 0; i < times; i++) {
+  lib.work(100);
+}
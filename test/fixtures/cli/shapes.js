@@ -0,0 +1,9 @@
+exports.Square = class Square {
+  constructor(size) {
+    this.size = size;
+  }
+
+  area() {
+    return this.size * this.size;
+  }
+};
@@ -0,0 +1,5 @@
+var b = require('./cycle-b');
+
+exports.work = function() {
+  return b.help() + 1;
+};
@@ -0,0 +1,5 @@
+require('./cycle-a');
+
+exports.help = function() {
+  return 1;
+};
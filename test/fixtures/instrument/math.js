@@ -0,0 +1,7 @@
+exports.add = function(a, b) {
+  return a + b;
+};
+
+exports.multiply = function(a, b) {
+  return a * b;
+};
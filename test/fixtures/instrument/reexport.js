@@ -0,0 +1,4 @@
+var math = require('./math');
+
+exports.add = math.add;
+exports.square = require('./square');
@@ -0,0 +1,9 @@
+module.exports = class Shape {
+  constructor(size) {
+    this.size = size;
+  }
+
+  area() {
+    return this.size * this.size;
+  }
+};
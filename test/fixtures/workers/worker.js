@@ -0,0 +1,14 @@
+var prfl = require('../../../src/node');
+
+var clock = prfl.clocks.fake();
+var profiler = new prfl.Profiler({clock: clock});
+var work = profiler.wrapFunction('work', function(n) {
+  clock.tick(n);
+});
+
+prfl.reportToParent(profiler);
+
+var n = Number(process.argv[2]) || require('worker_threads').workerData || 1;
+for (var i = 0; i < n; i++) {
+  work(n);
+}
@@ -0,0 +1,73 @@
+var expect = require('expect.js');
+var prfl = require('../src/prfl');
+var globToRegExp = prfl.globToRegExp;
+var matchesPatterns = prfl.matchesPatterns;
+
+suite('globToRegExp()', function() {
+  test('throws a TypeError when receiving a non-string', function() {
+    expect(function() { globToRegExp(null); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+
+  test('returns a regular expression', function() {
+    expect(globToRegExp('foo')).to.be.a(RegExp);
+  });
+
+  test('matches names without wildcards literally', function() {
+    expect(globToRegExp('foo.bar').test('foo.bar')).to.be(true);
+    expect(globToRegExp('foo.bar').test('fooxbar')).to.be(false);
+    expect(globToRegExp('foo.bar').test('foo.bar.baz')).to.be(false);
+  });
+
+  test('escapes regular expression syntax', function() {
+    expect(globToRegExp('a+b(c)').test('a+b(c)')).to.be(true);
+    expect(globToRegExp('a+b(c)').test('aab(c)')).to.be(false);
+  });
+
+  test('`*` matches any characters except the separator', function() {
+    var regExp = globToRegExp('foo.*');
+    expect(regExp.test('foo.bar')).to.be(true);
+    expect(regExp.test('foo.')).to.be(true);
+    expect(regExp.test('foo.bar.baz')).to.be(false);
+  });
+
+  test('`**` matches across separators', function() {
+    var regExp = globToRegExp('foo.**');
+    expect(regExp.test('foo.bar')).to.be(true);
+    expect(regExp.test('foo.bar.baz')).to.be(true);
+    expect(regExp.test('bar.foo')).to.be(false);
+  });
+
+  test('`?` matches a single character except the separator', function() {
+    var regExp = globToRegExp('fo?');
+    expect(regExp.test('foo')).to.be(true);
+    expect(regExp.test('fo.')).to.be(false);
+    expect(regExp.test('fooo')).to.be(false);
+  });
+
+  test('accepts a custom separator', function() {
+    var regExp = globToRegExp('lib/*.js', '/');
+    expect(regExp.test('lib/foo.js')).to.be(true);
+    expect(regExp.test('lib/sub/foo.js')).to.be(false);
+  });
+});
+
+suite('matchesPatterns()', function() {
+  test('matches if any glob or regular expression matches', function() {
+    expect(matchesPatterns('foo.bar', ['baz', 'foo.*'])).to.be(true);
+    expect(matchesPatterns('foo.bar', /bar$/)).to.be(true);
+    expect(matchesPatterns('foo.bar', ['baz', /^bar/])).to.be(false);
+  });
+
+  test('passes the separator on to globs', function() {
+    expect(matchesPatterns('lib/foo', 'lib/*', '/')).to.be(true);
+    expect(matchesPatterns('lib/sub/foo', 'lib/*', '/')).to.be(false);
+  });
+
+  test('works with global regular expressions repeatedly', function() {
+    var pattern = /foo/g;
+    expect(matchesPatterns('foo', pattern)).to.be(true);
+    expect(matchesPatterns('foo', pattern)).to.be(true);
+  });
+});
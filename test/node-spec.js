@@ -0,0 +1,171 @@
+var expect = require('expect.js');
+var path = require('path');
+var Module = require('module');
+var node = require('../src/node');
+var Profiler = node.Profiler;
+
+var fixtures = path.join(__dirname, 'fixtures', 'instrument');
+
+suite('instrumentRequire()', function() {
+  var profiler, stopInstrumenting;
+
+  function clearCache() {
+    Object.keys(require.cache).forEach(function(filename) {
+      if (filename.indexOf(fixtures) === 0) {
+        delete require.cache[filename];
+      }
+    });
+  }
+
+  setup(function() {
+    clearCache();
+    profiler = new Profiler();
+  });
+
+  teardown(function() {
+    if (stopInstrumenting) {
+      stopInstrumenting();
+      stopInstrumenting = null;
+    }
+    clearCache();
+  });
+
+  test('re-exports the profiler api', function() {
+    expect(node.Profiler).to.be(require('../src/prfl').Profiler);
+    expect(node.globToRegExp).to.be.a('function');
+  });
+
+  test('wraps the exports of matching modules, named after their path', function() {
+    stopInstrumenting = node.instrumentRequire(profiler, {root: fixtures});
+    var math = require('./fixtures/instrument/math');
+
+    expect(math.add(1, 2)).to.be(3);
+    math.multiply(2, 3);
+    expect(profiler.getSamples()).to.only.have.keys('math.add', 'math.multiply');
+  });
+
+  test('replaces exported functions with wrappers', function() {
+    stopInstrumenting = node.instrumentRequire(profiler, {root: fixtures});
+    var square = require('./fixtures/instrument/square');
+
+    expect(square(3)).to.be(9);
+    expect(require('./fixtures/instrument/square')).to.be(square);
+    expect(profiler.getSamples()).to.only.have.key('square');
+  });
+
+  test('only wraps modules matching include and not matching exclude', function() {
+    stopInstrumenting = node.instrumentRequire(profiler, {root: fixtures, include: ['m*'], exclude: 'square'});
+    require('./fixtures/instrument/math').add(1, 1);
+    require('./fixtures/instrument/square')(2);
+
+    expect(profiler.getSamples()).to.only.have.key('math.add');
+  });
+
+  test('ignores modules outside of the root', function() {
+    stopInstrumenting = node.instrumentRequire(profiler, {root: path.join(fixtures, 'nested')});
+    require('./fixtures/instrument/math').add(1, 1);
+
+    expect(profiler.getSamples()).to.eql({});
+  });
+
+  test('does not wrap re-exported functions twice', function() {
+    stopInstrumenting = node.instrumentRequire(profiler, {root: fixtures});
+    var reexport = require('./fixtures/instrument/reexport');
+
+    reexport.add(1, 2);
+    reexport.square(2);
+    var samples = profiler.getSamples();
+    expect(samples).to.only.have.keys('math.add', 'square');
+    expect(samples['math.add'].totalTimes).to.have.length(1);
+  });
+
+  test('instruments modules in a require cycle once they are loaded', function() {
+    stopInstrumenting = node.instrumentRequire(profiler, {root: fixtures});
+    var a = require('./fixtures/instrument/cycle-a');
+
+    expect(a.work()).to.be(2);
+    expect(profiler.getSamples()).to.only.have.keys('cycle-a.work', 'cycle-b.help');
+  });
+
+  test('exported classes stay constructible', function() {
+    stopInstrumenting = node.instrumentRequire(profiler, {root: fixtures, wrapOptions: {descriptors: true}});
+    var Shape = require('./fixtures/instrument/shape');
+    var shape = new Shape(3);
+
+    expect(shape).to.be.a(Shape);
+    expect(shape.area()).to.be(9);
+    expect(profiler.getSamples()).to.only.have.keys('shape', 'shape.prototype.area');
+  });
+
+  test('the teardown restores the original loader and exports', function() {
+    var load = Module._load;
+    var stop = node.instrumentRequire(profiler, {root: fixtures});
+    expect(Module._load).not.to.be(load);
+
+    var square = require('./fixtures/instrument/square');
+    var math = require('./fixtures/instrument/math');
+    stop();
+
+    expect(Module._load).to.be(load);
+    expect(require('./fixtures/instrument/square')).not.to.be(square);
+    math.add(1, 1);
+    require('./fixtures/instrument/square')(2);
+    expect(profiler.getSamples()).to.eql({});
+  });
+});
+
+suite('loadBudget()', function() {
+  test('reads budgets from a JSON file', function() {
+    var budgets = node.loadBudget(path.join(__dirname, 'fixtures', 'budget.json'));
+    expect(budgets).to.eql({'lib.*': {selfTime: {median: 2}}});
+  });
+
+  test('throws for files without a budget object', function() {
+    expect(function() { node.loadBudget(path.join(__dirname, 'fixtures', 'missing.json')); }).to.throwException();
+    expect(function() {
+      node.loadBudget(path.join(__dirname, 'fixtures', 'not-a-budget.json'));
+    }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+});
+
+suite('Collecting samples from workers', function() {
+  this.timeout(10000);
+
+  var worker = path.join(__dirname, 'fixtures', 'workers', 'worker.js');
+
+  test('collects samples of worker threads when they exit', function() {
+    var Worker = require('worker_threads').Worker;
+    var profiler = new Profiler();
+
+    return Promise.all([
+      node.collectSamples(profiler, new Worker(worker, {workerData: 2})),
+      node.collectSamples(profiler, new Worker(worker, {workerData: 3}))
+    ]).then(function() {
+      var report = profiler.getReport().work;
+      expect(report.numCalls).to.be(5);
+      expect(report.totalTime.sum).to.be(13);
+      expect(Object.keys(report.sources)).to.have.length(2);
+      Object.keys(report.sources).forEach(function(source) {
+        expect(source).to.match(/^pid \d+ thread \d+$/);
+      });
+    });
+  });
+
+  test('collects samples of forked child processes when they exit', function() {
+    var child = require('child_process').fork(worker, ['4']);
+    var profiler = new Profiler();
+
+    return node.collectSamples(profiler, child).then(function(result) {
+      expect(result).to.be(profiler);
+      var report = profiler.getReport().work;
+      expect(report.numCalls).to.be(4);
+      expect(report.sources).to.only.have.key('pid ' + child.pid);
+    });
+  });
+
+  test('reporting requires a parent', function() {
+    expect(function() { node.reportToParent(new Profiler()); }).to.throwException(/child processes/);
+  });
+});
@@ -1,6 +1,37 @@
 var expect = require('expect.js');
 var sinon = require('sinon');
-var Profiler = require('../src/prfl').Profiler;
+var prfl = require('../src/prfl');
+var Profiler = prfl.Profiler;
+
+function mockTime(time) {
+  var i = 0, numValues = arguments.length, values = arguments;
+  return function() {
+    if (i >= numValues) {
+      throw RangeError('mockTime: no time entries left');
+    }
+    return values[i++];
+  }
+}
+
+function expectUnhandledRejection(reason) {
+  return new Promise(function(resolve, reject) {
+    function onUnhandledRejection(e) {
+      if (e === reason) {
+        finish(resolve);
+      }
+    }
+    function finish(callback) {
+      clearTimeout(timeout);
+      process.removeListener('unhandledRejection', onUnhandledRejection);
+      callback();
+    }
+
+    var timeout = setTimeout(function() {
+      finish(function() { reject(Error('expected an unhandled rejection')); });
+    }, 50);
+    process.on('unhandledRejection', onUnhandledRejection);
+  });
+}
 
 suite('Function wrapping functionality', function() {
   test('If the first parameter to `wrapFunction` is not a string, an error is thrown', function() {
@@ -139,6 +170,135 @@ suite('Function wrapping functionality', function() {
   });
 });
 
+// ES2015 syntax is compiled at runtime, so that this file still parses in ES5 engines
+var es2015 = (function() {
+  try {
+    return Function([
+      'class Point {',
+      '  constructor(x, y) { this.x = x; this.y = y; this.target = new.target; }',
+      '  static origin() { return new this(0, 0); }',
+      '}',
+      'Point[Symbol.for("prfl.static")] = "symbol";',
+      'return {',
+      '  Point: Point,',
+      '  extend: function(Base) { return class extends Base { constructor() { super(1, 2); this.child = true; } }; },',
+      '  arrow: (a, b) => a + b',
+      '};'
+    ].join('\n'))();
+  } catch (e) {
+    return null;
+  }
+}());
+
+if (typeof Proxy === 'function' && typeof Reflect === 'object' && es2015) {
+  suite('Proxy wrappers', function() {
+    function wrap(name, func, profiler) {
+      return (profiler || new Profiler()).wrapFunction(name, func, {proxy: true});
+    }
+
+    var constructors = {
+      'functions': function() {
+        function Constructor(a, b) { this.args = [a, b]; }
+        return Constructor;
+      },
+      'classes': function() {
+        return Function('return class Constructor { constructor(a, b) { this.args = [a, b]; } }')();
+      },
+      'bound functions': function() {
+        function Constructor(a, b) { this.args = [a, b]; }
+        return Constructor.bind(null);
+      }
+    };
+
+    Object.keys(constructors).forEach(function(kind) {
+      test('Wrapped ' + kind + ' can be invoked as constructor with arguments', function() {
+        var profiler = new Profiler(), Constructor = constructors[kind]();
+        var Wrapped = wrap('Constructor', Constructor, profiler);
+
+        var instance = new Wrapped(1, 2);
+        expect(instance.args).to.eql([1, 2]);
+        expect(instance).to.be.a(Constructor);
+        expect(instance).to.be.a(Wrapped);
+        expect(profiler.getReport().Constructor.numCalls).to.be(1);
+      });
+
+      test('Wrapped ' + kind + ' keep length, name and source', function() {
+        var Constructor = constructors[kind](), Wrapped = wrap('Constructor', Constructor);
+
+        expect(Wrapped.length).to.be(Constructor.length);
+        expect(Wrapped.name).to.be(Constructor.name);
+        expect(Wrapped.toString()).to.be(Constructor.toString());
+        expect(String(Wrapped)).to.be(String(Constructor));
+      });
+    });
+
+    test('Classes receive the original class as new.target', function() {
+      var Point = wrap('Point', es2015.Point);
+      expect(new Point(1, 2).target).to.be(es2015.Point);
+    });
+
+    test('Subclasses of wrapped classes construct with the subclass as new.target', function() {
+      var profiler = new Profiler(), Point = wrap('Point', es2015.Point, profiler);
+      var Child = es2015.extend(Point);
+
+      var instance = new Child();
+      expect(instance).to.be.a(Child);
+      expect(instance).to.be.a(es2015.Point);
+      expect(instance.target).to.be(Child);
+      expect([instance.x, instance.y, instance.child]).to.eql([1, 2, true]);
+      expect(profiler.getReport().Point.numCalls).to.be(1);
+    });
+
+    test('Calling a wrapped class without new throws like the original', function() {
+      var Point = wrap('Point', es2015.Point);
+      expect(function() { Point(1, 2); }).to.throwException(function(e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+
+    test('Non-enumerable and Symbol keyed statics are exposed', function() {
+      var Point = wrap('Point', es2015.Point);
+
+      expect(Point[Symbol.for('prfl.static')]).to.be('symbol');
+      expect(Point.origin()).to.be.a(es2015.Point);
+      expect(Point.origin().x).to.be(0);
+    });
+
+    test('Arrow functions are called and keep their metadata', function() {
+      var profiler = new Profiler(), arrow = wrap('arrow', es2015.arrow, profiler);
+
+      expect(arrow(1, 2)).to.be(3);
+      expect(arrow.length).to.be(2);
+      expect(arrow.name).to.be('arrow');
+      expect(profiler.getReport().arrow.numCalls).to.be(1);
+      expect(function() { new arrow(); }).to.throwException(function(e) {
+        expect(e).to.be.a(TypeError);
+      });
+    });
+
+    test('Bound functions keep their bound context', function() {
+      var context = {};
+      var bound = wrap('bound', function() { return this; }.bind(context));
+      expect(bound.call({})).to.be(context);
+    });
+
+    test('Proxy wrappers can be unwrapped', function() {
+      var profiler = new Profiler(), Point = wrap('Point', es2015.Point, profiler);
+      expect(profiler.unwrap(Point)).to.be(es2015.Point);
+    });
+
+    test('The proxy option can be set for all functions of a profiler', function() {
+      var Point = new Profiler({proxy: true}).wrapFunction('Point', es2015.Point);
+      expect(new Point(1, 2).x).to.be(1);
+    });
+
+    test('Without the proxy option, functions are wrapped by plain functions', function() {
+      var arrow = new Profiler().wrapFunction('arrow', es2015.arrow);
+      expect(arrow.length).to.be(0);
+    });
+  });
+}
+
 suite('Object wrapping functionality', function() {
   test('All methods of an object are wrapped', function() {
     function foo() {}
@@ -287,16 +447,6 @@ suite('Profiler', function() {
   });
 
   suite('Time', function() {
-    function mockTime(time) {
-      var i = 0, numValues = arguments.length, values = arguments;
-      return function() {
-        if (i >= numValues) {
-          throw RangeError('mockTime: no time entries left');
-        }
-        return values[i++];
-      }
-    }
-
     test('Outer function total time is the sum of self time and inner function total time', function() {
 
       var profiler = new Profiler();
@@ -366,6 +516,96 @@ suite('Profiler', function() {
     var samples = profiler.getSamples();
     expect(samples).to.have.key(functionName);
     expect(samples[functionName].totalTimes).to.have.length(1);
+    expect(samples[functionName].outcomes).to.eql(['threw']);
+  });
+
+  test('Samples record the outcome of every call', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function(shouldThrow) {
+      if (shouldThrow) {
+        throw TypeError();
+      }
+    });
+
+    func(false);
+    try {
+      func(true);
+    } catch (e) {}
+    func(false);
+
+    expect(profiler.getSamples().func.outcomes).to.eql(['returned', 'threw', 'returned']);
+  });
+
+  test('Reports count throws and the names of the error constructors', function() {
+    var profiler = new Profiler();
+    var errors = [TypeError(), RangeError(), TypeError(), 'a string'];
+    var func = profiler.wrapFunction('func', function(error) {
+      if (error) {
+        throw error;
+      }
+    });
+
+    func();
+    for (var i = 0; i < errors.length; i++) {
+      try {
+        func(errors[i]);
+      } catch (e) {}
+    }
+
+    var report = profiler.getReport().func;
+    expect(report.numCalls).to.be(5);
+    expect(report.numThrows).to.be(4);
+    expect(report.errorTypes).to.eql({TypeError: 2, RangeError: 1, string: 1});
+  });
+
+  test('Reports hold separate statistics for calls that returned and calls that threw', function() {
+    var profiler = new Profiler();
+    profiler.getTime = mockTime(0, 1, 10, 14, 20, 28);
+    var func = profiler.wrapFunction('func', function(shouldThrow) {
+      if (shouldThrow) {
+        throw Error();
+      }
+    });
+
+    func(false);
+    try {
+      func(true);
+    } catch (e) {}
+    func(false);
+
+    var report = profiler.getReport().func;
+    expect(report.returned.totalTime.numCalls).to.be(2);
+    expect(report.returned.totalTime.sum).to.be(9);
+    expect(report.returned.selfTime.sum).to.be(9);
+    expect(report.threw.totalTime.numCalls).to.be(1);
+    expect(report.threw.totalTime.sum).to.be(4);
+    expect(report.threw.selfTime.sum).to.be(4);
+  });
+
+  test('Reports of functions that never threw have empty failure statistics', function() {
+    var profiler = new Profiler();
+    profiler.wrapFunction('func', function() {})();
+
+    var report = profiler.getReport().func;
+    expect(report.numThrows).to.be(0);
+    expect(report.errorTypes).to.eql({});
+    expect(report.threw.totalTime.numCalls).to.be(0);
+  });
+
+  test('Outer functions record the outcome of their own call if inner functions throw', function() {
+    var profiler = new Profiler();
+    var inner = profiler.wrapFunction('inner', sinon.stub().throws());
+    var outer = profiler.wrapFunction('outer', function() {
+      try {
+        inner();
+      } catch (e) {}
+    });
+
+    outer();
+
+    var samples = profiler.getSamples();
+    expect(samples.inner.outcomes).to.eql(['threw']);
+    expect(samples.outer.outcomes).to.eql(['returned']);
   });
 
   test('Samples have entries for outer functions if inner functions throw', function() {
@@ -381,6 +621,7 @@ suite('Profiler', function() {
     var samples = profiler.getSamples();
     expect(samples).to.have.key(outerFunctionName);
     expect(samples[outerFunctionName].totalTimes).to.have.length(1);
+    expect(samples[outerFunctionName].outcomes).to.eql(['threw']);
   });
 
   test('Expect throwing functions to throw when wrapped', function() {
@@ -479,4 +720,2186 @@ suite('Statistics', function() {
   test('`sum` of an empty sample set is undefined', function() {
     expect(profiler.statistics([]).sum).to.be(void 9);
   });
+
+  test('`variance` holds the population variance of all samples', function() {
+    expect(profiler.statistics([2, 4, 4, 4, 5, 5, 7, 9]).variance).to.be(4);
+  });
+
+  test('`variance` of an empty sample set is undefined', function() {
+    expect(profiler.statistics([]).variance).to.be(void 0);
+  });
+
+  test('`stdDev` holds the standard deviation of all samples', function() {
+    expect(profiler.statistics([2, 4, 4, 4, 5, 5, 7, 9]).stdDev).to.be(2);
+  });
+
+  test('`stdDev` of a single sample is 0', function() {
+    expect(profiler.statistics([7]).stdDev).to.be(0);
+  });
+
+  test('`stdDev` of an empty sample set is undefined', function() {
+    expect(profiler.statistics([]).stdDev).to.be(void 0);
+  });
+
+  test('p75, p90, p95 and p99 are computed by default', function() {
+    expect(profiler.statistics([1, 2])).to.have.keys('p75', 'p90', 'p95', 'p99');
+  });
+
+  test('Percentiles interpolate linearly between the closest ranks', function() {
+    var samples = [];
+    for (var i = 100; i >= 0; i--) {
+      samples.push(i);
+    }
+
+    var statistics = profiler.statistics(samples);
+    expect(statistics.p75).to.be(75);
+    expect(statistics.p90).to.be(90);
+    expect(statistics.p95).to.be(95);
+    expect(statistics.p99).to.be(99);
+    expect(profiler.statistics([0, 10]).p75).to.be(7.5);
+  });
+
+  test('Percentiles of a single sample are equal to the sample', function() {
+    expect(profiler.statistics([3]).p99).to.be(3);
+  });
+
+  test('Percentiles of an empty sample set are undefined', function() {
+    var statistics = profiler.statistics([]);
+    expect(statistics.p75).to.be(void 0);
+    expect(statistics.p99).to.be(void 0);
+  });
+
+  test('Percentiles are configurable', function() {
+    var statistics = new Profiler({percentiles: [50, 99.9]}).statistics([0, 1, 2, 3, 4]);
+    expect(statistics).to.have.keys('p50', 'p99.9');
+    expect(statistics).not.to.have.key('p75');
+    expect(statistics.p50).to.be(2);
+  });
+
+  test('No histogram is computed by default', function() {
+    expect(profiler.statistics([1, 2, 3])).not.to.have.key('histogram');
+  });
+
+  test('`histogram` holds equally wide buckets between min and max', function() {
+    var histogram = new Profiler({histogram: 4}).statistics([0, 1, 2, 3, 4, 5, 6, 7, 8]).histogram;
+    expect(histogram).to.eql([
+      {from: 0, to: 2, count: 2},
+      {from: 2, to: 4, count: 2},
+      {from: 4, to: 6, count: 2},
+      {from: 6, to: 8, count: 3}
+    ]);
+  });
+
+  test('`histogram: true` uses ten buckets', function() {
+    expect(new Profiler({histogram: true}).statistics([0, 10]).histogram).to.have.length(10);
+  });
+
+  test('`histogram` puts all samples into the first bucket if they are equal', function() {
+    var histogram = new Profiler({histogram: 2}).statistics([3, 3, 3]).histogram;
+    expect(histogram[0].count).to.be(3);
+    expect(histogram[1].count).to.be(0);
+  });
+
+  test('`histogram` of an empty sample set is empty', function() {
+    expect(new Profiler({histogram: 4}).statistics([]).histogram).to.eql([]);
+  });
+
+  test('Streaming statistics provide the same fields', function() {
+    var options = {histogram: 4};
+    var series = new prfl.StreamingSeries();
+    var samples = [2, 4, 4, 4, 5, 5, 7, 9];
+    for (var i = 0; i < samples.length; i++) {
+      series.push(samples[i]);
+    }
+
+    var statistics = new Profiler(options).statistics(series);
+    expect(statistics).to.eql(new Profiler(options).statistics(samples));
+  });
+});
+
+suite('Call tree', function() {
+  test('getCallTree() returns a root node without children before any call', function() {
+    var tree = new Profiler().getCallTree();
+    expect(tree).to.have.keys('name', 'calls', 'selfTime', 'totalTime', 'children');
+    expect(tree.children).to.eql({});
+  });
+
+  test('Calls are recorded under the path of their callers', function() {
+    var profiler = new Profiler();
+    var inner = profiler.wrapFunction('inner', function() {});
+    var a = profiler.wrapFunction('a', function() { inner(); });
+    var b = profiler.wrapFunction('b', function() { inner(); inner(); });
+
+    a();
+    b();
+
+    var children = profiler.getCallTree().children;
+    expect(children).to.only.have.keys('a', 'b');
+    expect(children.a.children).to.only.have.key('inner');
+    expect(children.a.children.inner.calls).to.be(1);
+    expect(children.b.children.inner.calls).to.be(2);
+  });
+
+  test('Nodes hold self time and total time per path', function() {
+    var profiler = new Profiler();
+    profiler.getTime = mockTime(0, 2, 5, 10);
+    var inner = profiler.wrapFunction('inner', function() {});
+    var outer = profiler.wrapFunction('outer', function() { inner(); });
+
+    outer();
+
+    var outerNode = profiler.getCallTree().children.outer;
+    expect(outerNode.totalTime).to.be(10);
+    expect(outerNode.selfTime).to.be(7);
+    expect(outerNode.children.inner.totalTime).to.be(3);
+    expect(outerNode.children.inner.selfTime).to.be(3);
+  });
+
+  test('The root node total time is the sum of all top level total times', function() {
+    var profiler = new Profiler();
+    profiler.getTime = mockTime(0, 4, 10, 11);
+    var foo = profiler.wrapFunction('foo', function() {});
+    var bar = profiler.wrapFunction('bar', function() {});
+
+    foo();
+    bar();
+
+    expect(profiler.getCallTree().totalTime).to.be(5);
+  });
+
+  test('Direct recursion is merged into one node without double-counting total time', function() {
+    var profiler = new Profiler();
+    profiler.getTime = mockTime(0, 1, 2, 3, 5, 8);
+    var object = {
+      recurse: function(n) {
+        if (n > 0) {
+          this.recurse(n - 1);
+        }
+      }
+    };
+    profiler.wrapObject('object', object);
+
+    object.recurse(2);
+
+    var node = profiler.getCallTree().children['object.recurse'];
+    expect(node.children).to.eql({});
+    expect(node.calls).to.be(3);
+    expect(node.totalTime).to.be(8);
+    expect(node.selfTime).to.be(8);
+  });
+
+  test('Indirect recursion is merged into the node of the outermost invocation', function() {
+    var profiler = new Profiler();
+    profiler.getTime = mockTime(0, 1, 2, 3, 4, 6);
+    var calls = 0;
+    var b;
+    var a = profiler.wrapFunction('a', function() {
+      if (calls++ === 0) {
+        b();
+      }
+    });
+    b = profiler.wrapFunction('b', function() { a(); });
+
+    a();
+
+    var node = profiler.getCallTree().children.a;
+    expect(node.calls).to.be(2);
+    expect(node.totalTime).to.be(6);
+    expect(node.children).to.only.have.key('b');
+    expect(node.children.b.children).to.eql({});
+    expect(node.selfTime + node.children.b.selfTime).to.be(6);
+  });
+
+  test('Throwing functions are removed from the active call path', function() {
+    var profiler = new Profiler();
+    var thrower = profiler.wrapFunction('thrower', sinon.stub().throws());
+    var after = profiler.wrapFunction('after', function() {});
+
+    try {
+      thrower();
+    } catch (e) {}
+    after();
+
+    expect(profiler.getCallTree().children).to.only.have.keys('thrower', 'after');
+  });
+});
+
+suite('Async timing', function() {
+  function deferred() {
+    var result = {};
+    result.promise = new Promise(function(resolve, reject) {
+      result.resolve = resolve;
+      result.reject = reject;
+    });
+    return result;
+  }
+
+  test('Without async mode, no asynchronous samples are recorded', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() { return Promise.resolve(); });
+
+    return func().then(function() {
+      expect(profiler.getSamples().func).not.to.have.key('asyncTimes');
+      expect(profiler.getReport().func).not.to.have.key('asyncTime');
+    });
+  });
+
+  test('The returned promise settles like the original promise', function() {
+    var value = {};
+    var func = new Profiler({async: true}).wrapFunction('func', function() { return Promise.resolve(value); });
+
+    return func().then(function(result) {
+      expect(result).to.be(value);
+    });
+  });
+
+  test('Thenables other than native promises are returned as they are', function() {
+    var profiler = new Profiler({async: true}), settle;
+    var thenable = {
+      then: sinon.spy(function(onFulfilled) { settle = onFulfilled; }),
+      cancel: function() {}
+    };
+    var func = profiler.wrapFunction('func', function() { return thenable; });
+
+    expect(func()).to.be(thenable);
+    expect(thenable.then.calledOnce).to.be.ok();
+    settle();
+    expect(profiler.getReport().func.numSucceeded).to.be(1);
+  });
+
+  test('Rejections that are not handled stay unhandled', function() {
+    var error = new Error();
+    var func = new Profiler({async: true}).wrapFunction('func', function() { return Promise.reject(error); });
+
+    func();
+    return expectUnhandledRejection(error);
+  });
+
+  test('Asynchronous wall time ends when the promise settles', function() {
+    var profiler = new Profiler({async: 'promise'});
+    var d = deferred();
+    profiler.getTime = mockTime(10, 12, 30);
+    var func = profiler.wrapFunction('func', function() { return d.promise; });
+
+    var promise = func();
+    expect(profiler.getSamples().func.totalTimes).to.eql([2]);
+    d.resolve();
+
+    return promise.then(function() {
+      var report = profiler.getReport().func;
+      expect(report.totalTime.sum).to.be(2);
+      expect(report.asyncTime.sum).to.be(20);
+      expect(report.numSucceeded).to.be(1);
+      expect(report.numFailed).to.be(0);
+    });
+  });
+
+  test('Rejected promises are counted as failures and keep rejecting', function() {
+    var profiler = new Profiler({async: true});
+    var error = new Error();
+    var func = profiler.wrapFunction('func', function() { return Promise.reject(error); });
+
+    return func().then(function() {
+      throw Error('expected rejection');
+    }, function(e) {
+      expect(e).to.be(error);
+      var report = profiler.getReport().func;
+      expect(report.numSucceeded).to.be(0);
+      expect(report.numFailed).to.be(1);
+      expect(report.asyncTime.numCalls).to.be(1);
+    });
+  });
+
+  test('Asynchronous wall time ends when the callback fires', function() {
+    var profiler = new Profiler({async: 'callback'});
+    profiler.getTime = mockTime(0, 1, 7);
+    var pending;
+    var func = profiler.wrapFunction('func', function(a, callback) { pending = callback; });
+    var callback = sinon.spy();
+    var context = {};
+
+    func('a', callback);
+    pending.call(context, null, 'result');
+
+    expect(callback.calledOn(context)).to.be.ok();
+    expect(callback.calledWith(null, 'result')).to.be.ok();
+    var report = profiler.getReport().func;
+    expect(report.totalTime.sum).to.be(1);
+    expect(report.asyncTime.sum).to.be(7);
+    expect(report.numSucceeded).to.be(1);
+  });
+
+  test('Callbacks receiving an error are counted as failures', function() {
+    var profiler = new Profiler({async: true});
+    var func = profiler.wrapFunction('func', function(callback) { callback(Error()); });
+
+    func(function() {});
+    expect(profiler.getReport().func.numFailed).to.be(1);
+  });
+
+  test('Callbacks firing more than once are recorded once', function() {
+    var profiler = new Profiler({async: true});
+    var func = profiler.wrapFunction('func', function(callback) { callback(); callback(); });
+    var callback = sinon.spy();
+
+    func(callback);
+    expect(callback.calledTwice).to.be.ok();
+    expect(profiler.getReport().func.asyncTime.numCalls).to.be(1);
+  });
+
+  test('Options passed to `wrapFunction` override the profiler options', function() {
+    var profiler = new Profiler({async: true});
+    var func = profiler.wrapFunction('func', function(callback) { callback(); }, {async: false});
+
+    func(function() {});
+    expect(profiler.getSamples().func).not.to.have.key('asyncTimes');
+  });
+});
+
+suite('Clocks', function() {
+  test('A high resolution clock is chosen by default under Node', function() {
+    expect(new Profiler().getMetadata()).to.eql({clock: 'hrtime', unit: 'ms'});
+  });
+
+  test('Clocks can be chosen by name', function() {
+    expect(new Profiler({clock: 'date'}).getMetadata().clock).to.be('date');
+    expect(new Profiler({clock: 'performance'}).getMetadata().clock).to.be('performance');
+  });
+
+  test('Unknown clock names throw an error', function() {
+    expect(function() { new Profiler({clock: 'sundial'}); }).to.throwException(/sundial/);
+  });
+
+  test('A function can be passed as clock', function() {
+    var now = sinon.stub().returns(5);
+    var profiler = new Profiler({clock: now});
+    profiler.wrapFunction('func', function() {})();
+
+    expect(now.calledTwice).to.be.ok();
+    expect(profiler.getMetadata()).to.eql({clock: 'custom', unit: 'ms'});
+  });
+
+  test('Clock objects provide name and unit for the metadata', function() {
+    var profiler = new Profiler({clock: {name: 'ticks', unit: 'ticks', now: function() { return 0; }}});
+    expect(profiler.getMetadata()).to.eql({clock: 'ticks', unit: 'ticks'});
+  });
+
+  test('Clock objects without `now` function throw an error', function() {
+    expect(function() { new Profiler({clock: {}}); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+
+  test('The hrtime clock has sub-millisecond resolution', function() {
+    var now = prfl.clocks.hrtime().now, start = now(), time;
+    while ((time = now()) === start) {}
+    expect(time - start).to.be.below(1);
+  });
+
+  test('The fake clock only advances when ticked', function() {
+    var clock = prfl.clocks.fake(10);
+    expect(clock.now()).to.be(10);
+    clock.tick(0.25);
+    expect(clock.now()).to.be(10.25);
+  });
+
+  test('Sub-millisecond times are recorded without loss', function() {
+    var clock = prfl.clocks.fake();
+    var profiler = new Profiler({clock: clock});
+    var func = profiler.wrapFunction('func', function(delta) { clock.tick(delta); });
+
+    func(0.125);
+    func(0.25);
+    func(0.5);
+
+    var report = profiler.getReport().func;
+    expect(profiler.getSamples().func.selfTimes).to.eql([0.125, 0.25, 0.5]);
+    expect(report.selfTime.sum).to.be(0.875);
+    expect(report.selfTime.median).to.be(0.25);
+    expect(report.selfTime.min).to.be(0.125);
+  });
+});
+
+suite('Unwrapping', function() {
+  function createModule() {
+    function Constructor() {}
+    Constructor.prototype.method = function() {};
+
+    return {
+      foo: function() {},
+      sub: {bar: function() {}},
+      Constructor: Constructor
+    };
+  }
+
+  function originals(module) {
+    return {
+      foo: module.foo,
+      bar: module.sub.bar,
+      method: module.Constructor.prototype.method,
+      Constructor: module.Constructor
+    };
+  }
+
+  function expectRestored(module, original) {
+    expect(module.foo).to.be(original.foo);
+    expect(module.sub.bar).to.be(original.bar);
+    expect(module.Constructor).to.be(original.Constructor);
+    expect(module.Constructor.prototype.method).to.be(original.method);
+  }
+
+  test('unwrap() restores all properties of an object by name', function() {
+    var profiler = new Profiler();
+    var module = createModule(), original = originals(module);
+    profiler.wrapObject('module', module);
+
+    profiler.unwrap('module');
+    expectRestored(module, original);
+  });
+
+  test('unwrap() restores all properties of an object passed by reference', function() {
+    var profiler = new Profiler();
+    var module = createModule(), original = originals(module);
+    profiler.wrapObject('module', module);
+
+    expect(profiler.unwrap(module)).to.be(module);
+    expectRestored(module, original);
+  });
+
+  test('unwrap() only restores the given sub-object', function() {
+    var profiler = new Profiler();
+    var module = createModule(), original = originals(module);
+    profiler.wrapObject('module', module);
+
+    profiler.unwrap(module.sub);
+    expect(module.sub.bar).to.be(original.bar);
+    expect(module.foo).not.to.be(original.foo);
+  });
+
+  test('unwrap() does not touch objects with a similar name', function() {
+    var profiler = new Profiler();
+    var module = createModule(), moduleTwo = createModule();
+    var original = originals(moduleTwo);
+    profiler.wrapObject('module', module);
+    profiler.wrapObject('moduleTwo', moduleTwo);
+
+    profiler.unwrap('module');
+    expect(moduleTwo.foo).not.to.be(original.foo);
+  });
+
+  test('unwrap() returns the original of a function wrapper', function() {
+    var profiler = new Profiler();
+    function func() {}
+    func.method = function() {};
+    var method = func.method;
+    var wrapper = profiler.wrapFunction('func', func);
+
+    expect(profiler.unwrap(wrapper)).to.be(func);
+    expect(func.method).to.be(method);
+  });
+
+  test('unwrap() returns unknown values unchanged', function() {
+    var object = {};
+    expect(new Profiler().unwrap(object)).to.be(object);
+    expect(new Profiler().unwrap('unknown')).to.be('unknown');
+  });
+
+  test('unwrap() does not overwrite values that were replaced after wrapping', function() {
+    var profiler = new Profiler();
+    var module = createModule();
+    function replacement() {}
+    profiler.wrapObject('module', module);
+    module.foo = replacement;
+
+    profiler.unwrap('module');
+    expect(module.foo).to.be(replacement);
+  });
+
+  test('Unwrapped objects can be wrapped again', function() {
+    var profiler = new Profiler();
+    var module = createModule(), original = originals(module);
+    profiler.wrapObject('module', module);
+    profiler.unwrap('module');
+    profiler.wrapObject('module', module);
+
+    expect(module.foo).not.to.be(original.foo);
+    expect(module.Constructor.prototype.method).not.to.be(original.method);
+  });
+
+  test('restoreAll() restores every wrapped object', function() {
+    var profiler = new Profiler();
+    var module = createModule(), original = originals(module);
+    var other = {baz: function() {}}, baz = other.baz;
+    profiler.wrapObject('module', module);
+    profiler.wrapObject('other', other);
+
+    profiler.restoreAll();
+    expectRestored(module, original);
+    expect(other.baz).to.be(baz);
+    expect(profiler.seenObjects).to.be.empty();
+  });
+
+  test('Recorded samples are kept when unwrapping', function() {
+    var profiler = new Profiler();
+    var module = createModule();
+    profiler.wrapObject('module', module);
+    module.foo();
+
+    profiler.restoreAll();
+    expect(profiler.getSamples()).to.have.key('module.foo');
+  });
+});
+
+suite('Method wrapping functionality', function() {
+  test('`wrapMethod` replaces the method with a wrapper', function() {
+    var object = {method: function() { return 1; }};
+    var method = object.method;
+    var wrapper = new Profiler().wrapMethod('object', object, 'method');
+
+    expect(object.method).to.be(wrapper);
+    expect(object.method).not.to.be(method);
+    expect(object.method()).to.be(1);
+  });
+
+  test('Calls of wrapped methods are recorded under the dotted name', function() {
+    var profiler = new Profiler();
+    var object = {method: function() {}};
+    profiler.wrapMethod('object', object, 'method');
+
+    object.method();
+    expect(profiler.getSamples()).to.only.have.key('object.method');
+  });
+
+  test('Only the given method is wrapped', function() {
+    function other() {}
+    var object = {method: function() {}, other: other};
+    new Profiler().wrapMethod('object', object, 'method');
+
+    expect(object.other).to.be(other);
+  });
+
+  test('Wrapping a non-function property throws a TypeError', function() {
+    expect(function() {
+      new Profiler().wrapMethod('object', {notAFunction: 1}, 'notAFunction');
+    }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+
+  test('Wrapped methods can be unwrapped', function() {
+    var profiler = new Profiler();
+    var object = {method: function() {}};
+    var method = object.method;
+    profiler.wrapMethod('object', object, 'method');
+
+    profiler.unwrap('object.method');
+    expect(object.method).to.be(method);
+  });
+});
+
+suite('Object wrapping options', function() {
+  function createLibrary() {
+    function Widget() {}
+    Widget.prototype.render = function() {};
+
+    return {
+      parse: function() {},
+      print: function() {},
+      util: {
+        helper: function() {},
+        vendor: {huge: function() {}}
+      },
+      Widget: Widget
+    };
+  }
+
+  test('`include` only wraps functions with matching names', function() {
+    var library = createLibrary(), parse = library.parse, print = library.print;
+    new Profiler().wrapObject('library', library, {include: 'library.parse'});
+
+    expect(library.parse).not.to.be(parse);
+    expect(library.print).to.be(print);
+  });
+
+  test('`include` patterns still reach functions in sub-objects', function() {
+    var library = createLibrary(), parse = library.parse, helper = library.util.helper;
+    new Profiler().wrapObject('library', library, {include: ['library.util.*']});
+
+    expect(library.parse).to.be(parse);
+    expect(library.util.helper).not.to.be(helper);
+  });
+
+  test('`include` accepts regular expressions', function() {
+    var library = createLibrary(), parse = library.parse, print = library.print;
+    new Profiler().wrapObject('library', library, {include: /\.pa/});
+
+    expect(library.parse).not.to.be(parse);
+    expect(library.print).to.be(print);
+  });
+
+  test('`exclude` skips matching functions and sub-objects', function() {
+    var library = createLibrary(), parse = library.parse, huge = library.util.vendor.huge;
+    var helper = library.util.helper;
+    new Profiler().wrapObject('library', library, {exclude: ['library.parse', 'library.util.vendor']});
+
+    expect(library.parse).to.be(parse);
+    expect(library.util.vendor.huge).to.be(huge);
+    expect(library.util.helper).not.to.be(helper);
+  });
+
+  test('`maxDepth` limits the recursion into sub-objects', function() {
+    var library = createLibrary(), parse = library.parse, helper = library.util.helper;
+    var huge = library.util.vendor.huge;
+    new Profiler().wrapObject('library', library, {maxDepth: 1});
+
+    expect(library.parse).not.to.be(parse);
+    expect(library.util.helper).not.to.be(helper);
+    expect(library.util.vendor.huge).to.be(huge);
+  });
+
+  test('`maxDepth` of 0 only wraps the own methods of an object', function() {
+    var library = createLibrary(), helper = library.util.helper;
+    var render = library.Widget.prototype.render;
+    new Profiler().wrapObject('library', library, {maxDepth: 0});
+
+    expect(library.util.helper).to.be(helper);
+    expect(library.Widget.prototype.render).to.be(render);
+  });
+
+  test('`prototypes: false` skips constructor prototypes', function() {
+    var library = createLibrary(), render = library.Widget.prototype.render;
+    new Profiler().wrapObject('library', library, {prototypes: false});
+
+    expect(library.Widget.prototype.render).to.be(render);
+  });
+
+  test('Options can be set as profiler defaults', function() {
+    var library = createLibrary(), print = library.print;
+    new Profiler({exclude: 'library.print'}).wrapObject('library', library);
+
+    expect(library.print).to.be(print);
+  });
+});
+
+suite('Descriptor based wrapping', function() {
+  function defineMethod(object, key, value, attributes) {
+    attributes = attributes || {};
+    Object.defineProperty(object, key, {
+      value: value,
+      writable: attributes.writable !== false,
+      enumerable: false,
+      configurable: attributes.configurable !== false
+    });
+  }
+
+  test('Non-enumerable methods are ignored without the `descriptors` option', function() {
+    var object = {}, method = function() {};
+    defineMethod(object, 'method', method);
+    new Profiler().wrapObject('object', object);
+
+    expect(object.method).to.be(method);
+  });
+
+  test('Non-enumerable methods are wrapped and stay non-enumerable', function() {
+    var profiler = new Profiler();
+    var object = {}, method = function() {};
+    defineMethod(object, 'method', method);
+    profiler.wrapObject('object', object, {descriptors: true});
+
+    expect(object.method).not.to.be(method);
+    expect(Object.keys(object)).to.eql([]);
+    object.method();
+    expect(profiler.getSamples()).to.have.key('object.method');
+  });
+
+  test('Non-writable but configurable methods are wrapped', function() {
+    var object = {}, method = function() {};
+    defineMethod(object, 'method', method, {writable: false});
+    new Profiler().wrapObject('object', object, {descriptors: true});
+
+    expect(object.method).not.to.be(method);
+    expect(Object.getOwnPropertyDescriptor(object, 'method').writable).to.be(false);
+  });
+
+  // only applicable for ES2015
+  var Class;
+  try {
+    Class = Function('return class Class { method() { return 1; } static create() { return new this(); } }')();
+  } catch (e) {}
+
+  if (Class) {
+    test('ES2015: Methods and static methods of classes are wrapped', function() {
+      var profiler = new Profiler();
+      var method = Class.prototype.method, create = Class.create;
+      profiler.wrapObject('Class', Class, {descriptors: true});
+
+      expect(Class.prototype.method).not.to.be(method);
+      expect(Class.create).not.to.be(create);
+      expect(Class.create().method()).to.be(1);
+      expect(profiler.getSamples()).to.only.have.keys('Class.create', 'Class.prototype.method');
+    });
+  }
+
+  test('Getters and setters are wrapped as separate entries without being triggered', function() {
+    var profiler = new Profiler();
+    var setValue;
+    function getter() { return 1; }
+    function setter(value) { setValue = value; }
+    function Foo() {}
+    Object.defineProperty(Foo.prototype, 'bar', {get: getter, set: setter, configurable: true});
+
+    profiler.wrapObject('Foo', Foo, {descriptors: true});
+    expect(profiler.getSamples()).to.eql({});
+
+    var foo = new Foo();
+    expect(foo.bar).to.be(1);
+    foo.bar = 2;
+    expect(setValue).to.be(2);
+    expect(profiler.getSamples()).to.only.have.keys('Foo.prototype.bar [get]', 'Foo.prototype.bar [set]');
+  });
+
+  test('Accessors can be filtered by their entry names', function() {
+    var getter = function() {}, setter = function() {};
+    var object = {};
+    Object.defineProperty(object, 'value', {get: getter, set: setter, configurable: true});
+
+    new Profiler().wrapObject('object', object, {descriptors: true, exclude: 'object.value [set]'});
+
+    var descriptor = Object.getOwnPropertyDescriptor(object, 'value');
+    expect(descriptor.get).not.to.be(getter);
+    expect(descriptor.set).to.be(setter);
+  });
+
+  test('Properties that cannot be instrumented are reported', function() {
+    var profiler = new Profiler();
+    var object = {method: function() {}};
+    Object.defineProperty(object, 'accessor', {get: function() {}});
+    Object.freeze(object);
+
+    profiler.wrapObject('object', object, {descriptors: true});
+
+    var names = profiler.getUninstrumented().map(function(entry) { return entry.name; });
+    expect(names).to.eql(['object.method', 'object.accessor']);
+    expect(profiler.getUninstrumented()[0].reason).to.be.a('string');
+  });
+
+  test('Frozen properties are reported without descriptor mode, and nothing is wrapped', function() {
+    var profiler = new Profiler();
+    var method = function() {};
+    var object = Object.freeze({method: method});
+
+    expect(function() { profiler.wrapObject('object', object); }).not.to.throwException();
+    expect(object.method).to.be(method);
+    expect(profiler.getUninstrumented()).to.eql([
+      {name: 'object.method', reason: 'property is not writable and not configurable'}
+    ]);
+    object.method();
+    expect(profiler.getReport()).to.eql({});
+  });
+
+  test('Wrapped descriptors are restored when unwrapping', function() {
+    var profiler = new Profiler();
+    var object = {}, method = function() {}, getter = function() {};
+    defineMethod(object, 'method', method, {writable: false});
+    Object.defineProperty(object, 'value', {get: getter, configurable: true});
+
+    profiler.wrapObject('object', object, {descriptors: true});
+    profiler.unwrap('object');
+
+    expect(object.method).to.be(method);
+    expect(Object.getOwnPropertyDescriptor(object, 'method').writable).to.be(false);
+    expect(Object.getOwnPropertyDescriptor(object, 'value').get).to.be(getter);
+  });
+});
+
+suite('Sample storage', function() {
+  function record(clock, options, values) {
+    options.clock = clock;
+    var profiler = new Profiler(options);
+    var func = profiler.wrapFunction('func', function(delta) { clock.tick(delta); });
+    for (var i = 0; i < values.length; i++) {
+      func(values[i]);
+    }
+
+    return profiler;
+  }
+
+  test('Unknown storage strategies throw an error', function() {
+    expect(function() { new Profiler({storage: 'tape'}); }).to.throwException(/tape/);
+  });
+
+  test('Exact storage keeps every sample', function() {
+    var profiler = record(prfl.clocks.fake(), {storage: 'exact'}, [1, 2, 3]);
+    expect(profiler.getSamples().func.totalTimes).to.eql([1, 2, 3]);
+  });
+
+  test('Streaming storage keeps bounded memory', function() {
+    var values = [];
+    for (var i = 0; i < 1000; i++) {
+      values.push(i % 10);
+    }
+    var profiler = record(prfl.clocks.fake(), {storage: 'streaming', reservoirSize: 8}, values);
+
+    var samples = profiler.getSamples().func;
+    expect(samples.totalTimes).to.be.a(prfl.StreamingSeries);
+    expect(samples.totalTimes).to.have.length(1000);
+    expect(samples.totalTimes.reservoir).to.have.length(8);
+    expect(samples).not.to.have.key('outcomes');
+  });
+
+  test('Both storage strategies produce the same report shape', function() {
+    var values = [4, 1, 3, 2, 5];
+    var exact = record(prfl.clocks.fake(), {}, values);
+    var streaming = record(prfl.clocks.fake(), {storage: 'streaming'}, values);
+
+    expect(streaming.getReport()).to.eql(exact.getReport());
+  });
+
+  test('Streaming reports compute exact count, sum, min, max and mean', function() {
+    var profiler = record(prfl.clocks.fake(), {storage: 'streaming', reservoirSize: 4}, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+    var selfTime = profiler.getReport().func.selfTime;
+    expect(selfTime.numCalls).to.be(9);
+    expect(selfTime.sum).to.be(45);
+    expect(selfTime.min).to.be(1);
+    expect(selfTime.max).to.be(9);
+    expect(selfTime.mean).to.be(5);
+    expect(selfTime.median).to.be.within(1, 9);
+  });
+
+  test('Streaming reports split statistics by outcome', function() {
+    var profiler = new Profiler({storage: 'streaming'});
+    var func = profiler.wrapFunction('func', function(shouldThrow) {
+      if (shouldThrow) {
+        throw TypeError();
+      }
+    });
+
+    func(false);
+    try {
+      func(true);
+    } catch (e) {}
+
+    var report = profiler.getReport().func;
+    expect(report.numThrows).to.be(1);
+    expect(report.errorTypes).to.eql({TypeError: 1});
+    expect(report.returned.totalTime.numCalls).to.be(1);
+    expect(report.threw.totalTime.numCalls).to.be(1);
+  });
+
+  test('Streaming reports of empty series match the exact statistics', function() {
+    var profiler = new Profiler({storage: 'streaming'});
+    expect(profiler.statistics(new prfl.StreamingSeries())).to.eql(profiler.statistics([]));
+  });
+});
+
+suite('Event log and exporters', function() {
+  function profile() {
+    var profiler = new Profiler({recordEvents: true});
+    profiler.getTime = mockTime(1, 2, 4, 5, 7, 8);
+    var inner = profiler.wrapFunction('inner', function() {});
+    var outer = profiler.wrapFunction('outer', function() { inner(); inner(); });
+    outer();
+
+    return profiler;
+  }
+
+  test('Events are not recorded by default', function() {
+    var profiler = new Profiler();
+    profiler.wrapFunction('func', function() {})();
+
+    expect(function() { profiler.getEvents(); }).to.throwException(/recordEvents/);
+  });
+
+  test('Events hold start time, duration and nesting depth of every call', function() {
+    expect(profile().getEvents()).to.eql([
+      {name: 'inner', start: 2, duration: 2, depth: 2, outcome: 'returned'},
+      {name: 'inner', start: 5, duration: 2, depth: 2, outcome: 'returned'},
+      {name: 'outer', start: 1, duration: 7, depth: 1, outcome: 'returned'}
+    ]);
+  });
+
+  test('Events record the outcome of throwing calls', function() {
+    var profiler = new Profiler({recordEvents: true});
+    try {
+      profiler.wrapFunction('func', function() { throw Error(); })();
+    } catch (e) {}
+
+    expect(profiler.getEvents()[0].outcome).to.be('threw');
+  });
+
+  test('Trace events are ordered begin/end pairs with microsecond timestamps', function() {
+    var traceEvents = profile().getTraceEvents().traceEvents;
+    var phases = traceEvents.map(function(event) { return event.ph + ' ' + event.name + ' ' + event.ts; });
+
+    expect(phases).to.eql([
+      'B outer 1000',
+      'B inner 2000',
+      'E inner 4000',
+      'B inner 5000',
+      'E inner 7000',
+      'E outer 8000'
+    ]);
+    expect(traceEvents[0]).to.have.keys('cat', 'pid', 'tid');
+  });
+
+  test('Trace events order outer begins before inner begins at equal times', function() {
+    var profiler = new Profiler({recordEvents: true});
+    profiler.getTime = mockTime(0, 0, 0, 0);
+    var inner = profiler.wrapFunction('inner', function() {});
+    profiler.wrapFunction('outer', function() { inner(); })();
+
+    var names = profiler.getTraceEvents().traceEvents.map(function(event) { return event.ph + event.name; });
+    expect(names).to.eql(['Bouter', 'Binner', 'Einner', 'Eouter']);
+  });
+
+  test('CPU profiles contain a node for every call path', function() {
+    var nodes = profile().getCpuProfile().nodes;
+    var names = nodes.map(function(node) { return node.callFrame.functionName; });
+
+    expect(names).to.eql(['(root)', 'outer', 'inner']);
+    expect(nodes[0].children).to.eql([2]);
+    expect(nodes[1].children).to.eql([3]);
+  });
+
+  test('CPU profile samples attribute time to the innermost active call', function() {
+    var cpuProfile = profile().getCpuProfile();
+    var nodes = cpuProfile.nodes;
+
+    expect(cpuProfile.startTime).to.be(1000);
+    expect(cpuProfile.endTime).to.be(8000);
+    expect(cpuProfile.samples).to.eql([2, 3, 2, 3, 2]);
+    expect(cpuProfile.timeDeltas).to.eql([0, 1000, 2000, 1000, 2000]);
+    expect(nodes[1].hitCount).to.be(3);
+    expect(nodes[2].hitCount).to.be(2);
+  });
+
+  test('Trace events and CPU profiles convert times from the unit of the clock', function() {
+    var clock = prfl.clocks.fake();
+    var profiler = new Profiler({recordEvents: true, clock: {name: 'ns', unit: 'ns', now: clock.now}});
+    profiler.wrapFunction('func', function() { clock.tick(5000); })();
+
+    var traceEvents = profiler.getTraceEvents().traceEvents;
+    expect(traceEvents[1].ts - traceEvents[0].ts).to.be(5);
+    var cpuProfile = profiler.getCpuProfile();
+    expect(cpuProfile.endTime - cpuProfile.startTime).to.be(5);
+  });
+
+  test('Trace events and CPU profiles need a clock measuring time', function() {
+    var profiler = new Profiler({recordEvents: true, clock: {name: 'ticks', unit: 'ticks', now: Date.now}});
+    profiler.wrapFunction('func', function() {})();
+
+    expect(function() { profiler.getTraceEvents(); }).to.throwException(/unit of the clock is ticks/);
+    expect(function() { profiler.getCpuProfile(); }).to.throwException(/unit of the clock is ticks/);
+  });
+
+  test('CPU profiles of an empty event log are empty', function() {
+    var cpuProfile = new Profiler({recordEvents: true}).getCpuProfile();
+    expect(cpuProfile.nodes).to.have.length(1);
+    expect(cpuProfile.samples).to.eql([]);
+  });
+});
+
+suite('Snapshots', function() {
+  test('Snapshots hold version, metadata, report and samples', function() {
+    var profiler = new Profiler({clock: prfl.clocks.fake()});
+    profiler.wrapFunction('func', function() {})();
+
+    var snapshot = profiler.getSnapshot();
+    expect(snapshot.version).to.be(prfl.snapshotVersion);
+    expect(snapshot.createdAt).to.be.a('number');
+    expect(snapshot.metadata).to.eql({clock: 'fake', unit: 'ms', session: 'default'});
+    expect(snapshot.report).to.eql(profiler.getReport());
+    expect(snapshot.samples).to.eql(profiler.getSamples());
+  });
+
+  test('Snapshots don\'t change when recording continues', function() {
+    var profiler = new Profiler({clock: prfl.clocks.fake()});
+    var func = profiler.wrapFunction('func', function() {});
+    func();
+
+    var snapshot = profiler.getSnapshot();
+    var json = JSON.stringify(snapshot);
+    func();
+    expect(JSON.stringify(snapshot)).to.be(json);
+    expect(snapshot.samples.func.totalTimes).to.have.length(1);
+  });
+
+  test('Snapshots merge custom metadata', function() {
+    var snapshot = new Profiler({clock: 'date'}).getSnapshot({commit: 'abc123'});
+    expect(snapshot.metadata).to.eql({clock: 'date', unit: 'ms', session: 'default', commit: 'abc123'});
+  });
+
+  test('Snapshots survive serialisation', function() {
+    var profiler = new Profiler({clock: prfl.clocks.fake()});
+    profiler.wrapFunction('func', function() {})();
+
+    var json = JSON.stringify(profiler.getSnapshot());
+    var restored = JSON.parse(json);
+    expect(JSON.stringify(restored)).to.be(json);
+    expect(restored.report.func.numCalls).to.be(1);
+  });
+});
+
+suite('Sessions', function() {
+  test('Profilers record into the "default" session from construction', function() {
+    var profiler = new Profiler();
+    profiler.wrapFunction('func', function() {})();
+
+    expect(profiler.getSessionNames()).to.eql(['default']);
+    expect(profiler.getSamples('default')).to.have.key('func');
+  });
+
+  test('`autoStart: false` creates a stopped profiler', function() {
+    var profiler = new Profiler({autoStart: false});
+    profiler.wrapFunction('func', function() {})();
+
+    expect(profiler.getSamples()).to.eql({});
+  });
+
+  test('Calls made while stopped pass straight through without being recorded', function() {
+    var profiler = new Profiler();
+    var spy = sinon.spy(function() { return 1; });
+    var func = profiler.wrapFunction('func', spy);
+    var context = {};
+
+    profiler.stop();
+    expect(func.call(context, 'a')).to.be(1);
+    expect(spy.calledOn(context)).to.be.ok();
+    expect(spy.calledWith('a')).to.be.ok();
+    expect(profiler.getSamples()).to.eql({});
+  });
+
+  test('Functions wrapped while stopped are still constructors', function() {
+    var profiler = new Profiler().stop();
+    function Constructor() {}
+    var Wrapped = profiler.wrapFunction('Constructor', Constructor);
+
+    expect(new Wrapped()).to.be.a(Constructor);
+  });
+
+  test('start() resumes recording', function() {
+    var profiler = new Profiler().stop();
+    var func = profiler.wrapFunction('func', function() {});
+
+    func();
+    profiler.start();
+    func();
+
+    expect(profiler.getSamples().func.totalTimes).to.have.length(1);
+  });
+
+  test('Named sessions keep their own samples', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() {});
+
+    profiler.start('startup');
+    func();
+    profiler.start('requests');
+    func();
+    func();
+
+    expect(profiler.getSessionNames()).to.eql(['default', 'startup', 'requests']);
+    expect(profiler.getReport('startup').func.numCalls).to.be(1);
+    expect(profiler.getReport('requests').func.numCalls).to.be(2);
+    expect(profiler.getReport('default')).to.eql({});
+    expect(profiler.getReport()).to.eql(profiler.getReport('requests'));
+  });
+
+  test('Restarting a session continues to record into it', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() {});
+
+    profiler.start('a');
+    func();
+    profiler.start('b');
+    func();
+    profiler.start('a');
+    func();
+
+    expect(profiler.getReport('a').func.numCalls).to.be(2);
+  });
+
+  test('Named sessions keep their own call trees and total times stacks', function() {
+    var profiler = new Profiler();
+    var inner = profiler.wrapFunction('inner', function() {});
+    var outer = profiler.wrapFunction('outer', function() {
+      profiler.start('second');
+      inner();
+    });
+
+    profiler.start('first');
+    outer();
+
+    expect(profiler.getCallTree('first').children).to.only.have.key('outer');
+    expect(profiler.getCallTree('second').children).to.only.have.key('inner');
+    expect(profiler.getSession('first').totalTimesStack.lastIndex).to.be(0);
+    expect(profiler.getSession('second').totalTimesStack.lastIndex).to.be(0);
+  });
+
+  test('Calls are recorded into the session they started in', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() { profiler.start('second'); });
+
+    profiler.start('first');
+    func();
+
+    expect(profiler.getReport('first').func.numCalls).to.be(1);
+    expect(profiler.getReport('second')).to.eql({});
+  });
+
+  test('Asynchronous samples are recorded into the session of their call', function() {
+    var profiler = new Profiler({async: true}), resolve;
+    var func = profiler.wrapFunction('func', function() {
+      return new Promise(function(r) { resolve = r; });
+    });
+
+    profiler.start('startup');
+    var promise = func();
+    profiler.start('request');
+    resolve();
+
+    return promise.then(function() {
+      expect(profiler.getReport('startup').func.asyncTime.numCalls).to.be(1);
+      expect(profiler.getReport('request')).to.eql({});
+    });
+  });
+
+  test('Accessing unknown sessions throws an error', function() {
+    expect(function() { new Profiler().getReport('unknown'); }).to.throwException(/unknown/);
+  });
+
+  test('reset() discards the data of all sessions', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() {});
+    profiler.start('other');
+    func();
+
+    profiler.reset();
+    expect(profiler.getSessionNames()).to.eql(['other']);
+    expect(profiler.getReport()).to.eql({});
+    expect(profiler.getCallTree().children).to.eql({});
+  });
+
+  test('reset() discards the data of a single session', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() {});
+    func();
+    profiler.start('other');
+    func();
+
+    profiler.reset('default');
+    expect(profiler.getReport('default')).to.eql({});
+    expect(profiler.getReport('other')).to.have.key('func');
+  });
+
+  test('Snapshots and exports accept a session name', function() {
+    var profiler = new Profiler({recordEvents: true});
+    var func = profiler.wrapFunction('func', function() {});
+    profiler.start('other');
+    func();
+    profiler.start('default');
+
+    expect(profiler.getSnapshot({}, 'other').metadata.session).to.be('other');
+    expect(profiler.getSnapshot({}, 'other').report).to.have.key('func');
+    expect(profiler.getEvents('other')).to.have.length(1);
+    expect(profiler.getEvents()).to.have.length(0);
+  });
+});
+
+suite('Sampling', function() {
+  test('Without sampling, reports are not estimated', function() {
+    var profiler = new Profiler();
+    profiler.wrapFunction('func', function() {})();
+
+    expect(profiler.getReport().func).not.to.have.key('estimated');
+  });
+
+  test('`every` times only every Nth call but counts every call', function() {
+    var profiler = new Profiler({sampling: {every: 3}});
+    var spy = sinon.spy();
+    var func = profiler.wrapFunction('func', spy);
+    for (var i = 0; i < 10; i++) {
+      func(i);
+    }
+
+    expect(spy.callCount).to.be(10);
+    expect(profiler.getSamples().func.totalTimes).to.have.length(4);
+
+    var report = profiler.getReport().func;
+    expect(report.numCalls).to.be(10);
+    expect(report.numTimedCalls).to.be(4);
+    expect(report.estimated).to.be(true);
+  });
+
+  test('Skipped calls pass arguments, context and return values through', function() {
+    var profiler = new Profiler({sampling: {every: 2}});
+    var spy = sinon.spy(function() { return 'value'; });
+    var func = profiler.wrapFunction('func', spy);
+    var context = {};
+
+    func();
+    expect(func.call(context, 'a')).to.be('value');
+    expect(spy.secondCall.calledOn(context)).to.be.ok();
+    expect(spy.secondCall.calledWith('a')).to.be.ok();
+  });
+
+  test('Totals are extrapolated from the timed calls', function() {
+    var clock = prfl.clocks.fake();
+    var profiler = new Profiler({clock: clock, sampling: {every: 2}});
+    var func = profiler.wrapFunction('func', function() { clock.tick(2); });
+    for (var i = 0; i < 4; i++) {
+      func();
+    }
+
+    var report = profiler.getReport().func;
+    expect(report.selfTime.sum).to.be(8);
+    expect(report.totalTime.sum).to.be(8);
+    expect(report.selfTime.mean).to.be(2);
+  });
+
+  test('Skipped calls don\'t add to the self time of their caller', function() {
+    var clock = prfl.clocks.fake();
+    var profiler = new Profiler({clock: clock});
+    var child = profiler.wrapFunction('child', function() { clock.tick(10); }, {sampling: {every: 2}});
+    var parent = profiler.wrapFunction('parent', function() {
+      clock.tick(1);
+      child();
+    });
+    parent();
+    parent();
+
+    expect(profiler.getSamples().parent.selfTimes).to.eql([1, 1]);
+    expect(profiler.getSamples().parent.totalTimes).to.eql([11, 11]);
+    expect(profiler.getCallTree().children.parent.children.child.calls).to.be(2);
+  });
+
+  test('Calls nested in skipped calls keep their place in the call tree', function() {
+    var clock = prfl.clocks.fake();
+    var profiler = new Profiler({clock: clock});
+    var inner = profiler.wrapFunction('inner', function() { clock.tick(2); });
+    var middle = profiler.wrapFunction('middle', function() { clock.tick(1); inner(); }, {sampling: {every: 2}});
+    var outer = profiler.wrapFunction('outer', function() { middle(); middle(); });
+    outer();
+
+    var middleNode = profiler.getCallTree().children.outer.children.middle;
+    expect(middleNode.children.inner.calls).to.be(2);
+    expect(profiler.getSamples().outer.selfTimes).to.eql([0]);
+  });
+
+  test('Skipped calls are counted in their keyed buckets', function() {
+    var profiler = new Profiler({sampling: {every: 2}});
+    var func = profiler.wrapFunction('func', function() {}, {
+      key: function(thisArg, args) { return args[0]; }
+    });
+    ['a', 'a', 'b', 'b'].forEach(function(key) { func(key); });
+
+    var report = profiler.getReport().func;
+    expect(report.numCalls).to.be(4);
+    expect(report.buckets.a.numCalls + report.buckets.b.numCalls).to.be(4);
+  });
+
+  test('`rate` times a random fraction of calls', function() {
+    var profiler = new Profiler({sampling: {rate: 0}});
+    var func = profiler.wrapFunction('func', function() {});
+    func();
+    func();
+
+    var report = profiler.getReport().func;
+    expect(report.numCalls).to.be(2);
+    expect(report.numTimedCalls).to.be(0);
+    expect(report.selfTime.sum).to.be(void 0);
+  });
+
+  test('Sampling can be configured per function', function() {
+    var profiler = new Profiler({sampling: {every: 10}});
+    var func = profiler.wrapFunction('func', function() {}, {sampling: null});
+    func();
+    func();
+
+    expect(profiler.getSamples().func.totalTimes).to.have.length(2);
+  });
+});
+
+suite('Overhead calibration', function() {
+  test('calibrate() measures the self time of an empty wrapped function', function() {
+    var profiler = new Profiler();
+    profiler.getTime = mockTime(0, 1, 2, 3, 4, 7);
+
+    expect(profiler.calibrate(3)).to.be(1);
+    expect(profiler.overhead).to.be(1);
+  });
+
+  test('The calibrated overhead is part of the metadata', function() {
+    var profiler = new Profiler({clock: 'date'});
+    expect(profiler.getMetadata()).not.to.have.key('overhead');
+
+    profiler.calibrate(10);
+    expect(profiler.getMetadata().overhead).to.be.a('number');
+  });
+
+  test('`subtractOverhead` subtracts the overhead from self times', function() {
+    var clock = prfl.clocks.fake();
+    var profiler = new Profiler({clock: clock, subtractOverhead: true});
+    profiler.overhead = 0.5;
+    var func = profiler.wrapFunction('func', function(delta) { clock.tick(delta); });
+
+    func(2);
+    func(0.25);
+
+    var samples = profiler.getSamples().func;
+    expect(samples.selfTimes).to.eql([1.5, 0]);
+    expect(samples.totalTimes).to.eql([2, 0.25]);
+  });
+
+  test('Self times are unchanged without `subtractOverhead`', function() {
+    var clock = prfl.clocks.fake();
+    var profiler = new Profiler({clock: clock});
+    profiler.overhead = 0.5;
+    profiler.wrapFunction('func', function() { clock.tick(2); })();
+
+    expect(profiler.getSamples().func.selfTimes).to.eql([2]);
+  });
+});
+
+suite('Keyed sample buckets', function() {
+  function byTemplate(thisArg, args) {
+    return args[0];
+  }
+
+  test('Calls are recorded under the function and their bucket', function() {
+    var profiler = new Profiler();
+    var render = profiler.wrapFunction('render', function() {}, {key: byTemplate});
+
+    render('list');
+    render('item');
+    render('item');
+
+    var samples = profiler.getSamples();
+    expect(samples).to.only.have.keys('render', 'render[list]', 'render[item]');
+    expect(samples.render.totalTimes).to.have.length(3);
+    expect(samples['render[item]'].totalTimes).to.have.length(2);
+  });
+
+  test('Key functions receive the context and arguments of the call', function() {
+    var key = sinon.spy(function() { return 'key'; });
+    var func = new Profiler().wrapFunction('func', function() {}, {key: key});
+    var context = {};
+
+    func.call(context, 1, 2);
+    expect(key.firstCall.args[0]).to.be(context);
+    expect([].slice.call(key.firstCall.args[1])).to.eql([1, 2]);
+  });
+
+  test('Reports show buckets as sub-entries of their function', function() {
+    var profiler = new Profiler();
+    var query = profiler.wrapFunction('query', function() {}, {key: byTemplate});
+
+    query('users');
+    query('posts');
+    query('users');
+
+    var report = profiler.getReport();
+    expect(report).to.only.have.key('query');
+    expect(report.query.numCalls).to.be(3);
+    expect(report.query.buckets).to.only.have.keys('users', 'posts');
+    expect(report.query.buckets.users.numCalls).to.be(2);
+    expect(report.query.buckets.users).to.have.keys('selfTime', 'totalTime');
+  });
+
+  test('Functions without key function have no buckets', function() {
+    var profiler = new Profiler();
+    profiler.wrapFunction('func', function() {})();
+
+    expect(profiler.getReport().func).not.to.have.key('buckets');
+  });
+
+  test('Keys beyond the bucket limit are recorded as "(other)"', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() {}, {key: byTemplate, maxBuckets: 2});
+
+    func('a');
+    func('b');
+    func('c');
+    func('d');
+    func('a');
+
+    var buckets = profiler.getReport().func.buckets;
+    expect(buckets).to.only.have.keys('a', 'b', '(other)');
+    expect(buckets['(other)'].numCalls).to.be(2);
+    expect(buckets.a.numCalls).to.be(2);
+  });
+
+  test('Failing key functions don\'t break the profiled code', function() {
+    var profiler = new Profiler();
+    var func = profiler.wrapFunction('func', function() { return 1; }, {key: sinon.stub().throws()});
+
+    expect(func()).to.be(1);
+    expect(profiler.getReport().func.buckets).to.only.have.key('(error)');
+  });
+});
+
+suite('Budgets', function() {
+  function createProfiler() {
+    var clock = prfl.clocks.fake(), profiler = new Profiler({clock: clock});
+    var object = {
+      fast: function() { clock.tick(1); },
+      slow: function() { clock.tick(10); }
+    };
+    profiler.wrapObject('api', object);
+    object.fast();
+    object.slow();
+    object.slow();
+    return profiler;
+  }
+
+  test('No violations are returned when all functions are within budget', function() {
+    var violations = createProfiler().checkBudget({'api.*': {'selfTime.max': 10, numCalls: 2}});
+    expect(violations).to.eql([]);
+  });
+
+  test('Every exceeded limit of every matching function is reported', function() {
+    var violations = createProfiler().checkBudget({
+      'api.*': {'selfTime.max': 5},
+      'api.slow': {numCalls: 1}
+    });
+
+    expect(violations).to.eql([
+      {name: 'api.slow', pattern: 'api.*', metric: 'selfTime.max', bound: 'max', limit: 5, actual: 10},
+      {name: 'api.slow', pattern: 'api.slow', metric: 'numCalls', bound: 'max', limit: 1, actual: 2}
+    ]);
+  });
+
+  test('Metrics missing from the report are ignored', function() {
+    expect(createProfiler().checkBudget({'**': {'asyncTime.max': 0}})).to.eql([]);
+    expect(createProfiler().checkBudget({'**': {asyncTime: {max: 0}, numYields: {min: 1}}})).to.eql([]);
+  });
+
+  test('Unknown metrics are reported', function() {
+    var violations = createProfiler().checkBudget({
+      'api.fast': {'selfTime.medain': 5, numCall: {min: 1}, asyncTime: {mean: 1, p95x: 1}}
+    });
+
+    expect(violations).to.eql([
+      {name: 'api.fast', pattern: 'api.fast', metric: 'selfTime.medain', reason: 'unknown'},
+      {name: 'api.fast', pattern: 'api.fast', metric: 'numCall', reason: 'unknown'},
+      {name: 'api.fast', pattern: 'api.fast', metric: 'asyncTime.p95x', reason: 'unknown'}
+    ]);
+  });
+
+  test('Patterns that match no function are reported', function() {
+    var violations = createProfiler().checkBudget({'api.*': {numCalls: 5}, 'api.missing': {numCalls: {min: 1}}});
+    expect(violations).to.eql([{pattern: 'api.missing', reason: 'unmatched'}]);
+  });
+
+  test('Budgets are checked against the given session', function() {
+    var profiler = createProfiler();
+    profiler.start('empty');
+    expect(profiler.checkBudget({'**': {numCalls: 0}}, 'empty')).to.eql([{pattern: '**', reason: 'unmatched'}]);
+    expect(profiler.checkBudget({'**': {numCalls: 0}}, 'default')).to.have.length(2);
+  });
+
+  test('Budgets can be nested and hold ranges for numeric values', function() {
+    var violations = createProfiler().checkBudget({
+      'api.fast': {selfTime: {median: 0.5}, numCalls: {min: 2, max: 10}},
+      'api.slow': {totalTime: {max: 20}, numCalls: {max: 1}}
+    });
+
+    expect(violations).to.eql([
+      {name: 'api.fast', pattern: 'api.fast', metric: 'selfTime.median', bound: 'max', limit: 0.5, actual: 1},
+      {name: 'api.fast', pattern: 'api.fast', metric: 'numCalls', bound: 'min', limit: 2, actual: 1},
+      {name: 'api.slow', pattern: 'api.slow', metric: 'numCalls', bound: 'max', limit: 1, actual: 2}
+    ]);
+  });
+
+  test('assertBudget() passes when all functions are within budget', function() {
+    var profiler = createProfiler();
+    expect(profiler.assertBudget({'api.*': {selfTime: {max: 10}}})).to.be(profiler);
+  });
+
+  test('assertBudget() throws an error listing every violation', function() {
+    var profiler = createProfiler();
+    var budgets = {'api.*': {selfTime: {max: 5}}, 'api.fast': {numCalls: {min: 2}}};
+
+    expect(function() { profiler.assertBudget(budgets); }).to.throwException(function(e) {
+      expect(e.message).to.be([
+        '2 performance budgets exceeded:',
+        '  api.slow selfTime.max is 10, allowed is at most 5',
+        '  api.fast numCalls is 1, allowed is at least 2'
+      ].join('\n'));
+      expect(e.violations).to.eql(profiler.checkBudget(budgets));
+    });
+  });
+
+  test('assertBudget() lists unknown metrics and unmatched patterns', function() {
+    var profiler = createProfiler();
+    var budgets = {'api.fast': {'selfTime.medain': 5}, 'api.missing': {numCalls: 1}};
+
+    expect(function() { profiler.assertBudget(budgets); }).to.throwException(function(e) {
+      expect(e.message).to.be([
+        '2 performance budgets exceeded:',
+        '  api.fast has no metric selfTime.medain',
+        '  no function matches api.missing'
+      ].join('\n'));
+      expect(e.violations).to.eql(profiler.checkBudget(budgets));
+    });
+  });
+
+  test('Budgets must be objects', function() {
+    expect(function() { new Profiler().checkBudget(null); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+});
+
+suite('Memory tracking', function() {
+  function createHeap() {
+    var heap = {used: 0};
+    heap.meter = function() { return heap.used; };
+    return heap;
+  }
+
+  test('Heap deltas are reported as self and total heap', function() {
+    var heap = createHeap(), profiler = new Profiler({memory: heap.meter});
+    var inner = profiler.wrapFunction('inner', function() { heap.used += 100; });
+    var outer = profiler.wrapFunction('outer', function() {
+      heap.used += 10;
+      inner();
+      inner();
+    });
+
+    outer();
+
+    var report = profiler.getReport();
+    expect(report.outer.totalHeap.sum).to.be(210);
+    expect(report.outer.selfHeap.sum).to.be(10);
+    expect(report.inner.totalHeap.sum).to.be(200);
+    expect(report.inner.selfHeap.mean).to.be(100);
+  });
+
+  test('Heap is recorded for calls that throw', function() {
+    var heap = createHeap(), profiler = new Profiler({memory: heap.meter});
+    var func = profiler.wrapFunction('func', function() {
+      heap.used += 5;
+      throw Error();
+    });
+
+    expect(func).to.throwException();
+    expect(profiler.getReport().func.selfHeap.sum).to.be(5);
+  });
+
+  test('Buckets receive heap samples', function() {
+    var heap = createHeap(), profiler = new Profiler({memory: heap.meter});
+    var func = profiler.wrapFunction('func', function(n) { heap.used += n; }, {
+      key: function(thisArg, args) { return args[0] > 10 ? 'large' : 'small'; }
+    });
+
+    func(1);
+    func(50);
+
+    var buckets = profiler.getReport().func.buckets;
+    expect(buckets.small.selfHeap.sum).to.be(1);
+    expect(buckets.large.totalHeap.sum).to.be(50);
+  });
+
+  test('Heap is only measured with the memory option', function() {
+    var profiler = new Profiler();
+    profiler.wrapFunction('func', function() {})();
+
+    expect(profiler.getHeapUsed).to.be(null);
+    expect(profiler.getReport().func).not.to.have.property('selfHeap');
+  });
+
+  test('The memory option uses process.memoryUsage() in Node.js', function() {
+    var profiler = new Profiler({memory: true});
+    profiler.wrapFunction('func', function() { return new Array(1000).join('x'); })();
+
+    expect(profiler.getHeapUsed()).to.be.a('number');
+    expect(profiler.getReport().func.totalHeap.numCalls).to.be(1);
+  });
+
+  test('Without a memory api, only time is measured', function() {
+    var memoryUsage = process.memoryUsage;
+    process.memoryUsage = void 0;
+    try {
+      var profiler = new Profiler({memory: true});
+    } finally {
+      process.memoryUsage = memoryUsage;
+    }
+    profiler.wrapFunction('func', function() {})();
+
+    expect(profiler.getHeapUsed).to.be(null);
+    expect(profiler.getReport().func.numCalls).to.be(1);
+  });
+
+  test('Streaming storage supports heap samples', function() {
+    var heap = createHeap(), profiler = new Profiler({memory: heap.meter, storage: 'streaming'});
+    var func = profiler.wrapFunction('func', function() { heap.used += 8; });
+
+    func();
+    func();
+
+    expect(profiler.getReport().func.selfHeap.mean).to.be(8);
+  });
+});
+
+suite('Event hooks', function() {
+  var clock, profiler;
+  setup(function() {
+    clock = prfl.clocks.fake();
+    profiler = new Profiler({clock: clock});
+  });
+
+  test('Listeners receive call and return events with timing and nesting', function() {
+    var calls = [], returns = [];
+    profiler.on('call', function(event) { calls.push(event); });
+    profiler.on('return', function(event) { returns.push(event); });
+
+    var inner = profiler.wrapFunction('inner', function() { clock.tick(2); return 'x'; });
+    var outer = profiler.wrapFunction('outer', function() { clock.tick(1); inner(); });
+    outer();
+
+    expect(calls).to.eql([
+      {name: 'outer', start: 0, depth: 1, parent: null},
+      {name: 'inner', start: 1, depth: 2, parent: 'outer'}
+    ]);
+    expect(returns).to.eql([
+      {name: 'inner', start: 1, end: 3, totalTime: 2, selfTime: 2, depth: 2, parent: 'outer',
+        outcome: 'returned', error: undefined, returnValue: 'x'},
+      {name: 'outer', start: 0, end: 3, totalTime: 3, selfTime: 1, depth: 1, parent: null,
+        outcome: 'returned', error: undefined, returnValue: undefined}
+    ]);
+  });
+
+  test('Throw listeners receive the error', function() {
+    var error = Error('fail'), listener = sinon.spy();
+    profiler.on('throw', listener);
+
+    var func = profiler.wrapFunction('func', function() { throw error; });
+    expect(func).to.throwException();
+
+    sinon.assert.calledOnce(listener);
+    expect(listener.firstCall.args[0].outcome).to.be('threw');
+    expect(listener.firstCall.args[0].error).to.be(error);
+  });
+
+  test('Errors of listeners do not affect the profiled code', function() {
+    var other = sinon.spy();
+    profiler.on('call', function() { throw Error('listener'); });
+    profiler.on('return', function() { throw Error('listener'); });
+    profiler.on('return', other);
+
+    var func = profiler.wrapFunction('func', function() { return 1; });
+    expect(func()).to.be(1);
+    sinon.assert.calledOnce(other);
+  });
+
+  test('Time spent in listeners is excluded from measurements', function() {
+    profiler.on('call', function() { clock.tick(10); });
+    profiler.on('return', function() { clock.tick(100); });
+
+    var inner = profiler.wrapFunction('inner', function() { clock.tick(2); });
+    var outer = profiler.wrapFunction('outer', function() {
+      clock.tick(1);
+      inner();
+      inner();
+    });
+    outer();
+
+    var report = profiler.getReport();
+    expect(report.outer.totalTime.sum).to.be(5);
+    expect(report.outer.selfTime.sum).to.be(1);
+    expect(report.inner.totalTime.sum).to.be(4);
+  });
+
+  test('Events and trace events stay nested while listeners take time', function() {
+    var profiler = new Profiler({clock: clock, recordEvents: true}), returns = [];
+    profiler.on('call', function() { clock.tick(100); });
+    profiler.on('return', function(event) { returns.push(event); });
+
+    var inner = profiler.wrapFunction('inner', function() { clock.tick(2); });
+    var outer = profiler.wrapFunction('outer', function() { clock.tick(1); inner(); });
+    outer();
+
+    expect(returns[0]).to.have.property('start', 1);
+    expect(returns[0]).to.have.property('end', 3);
+    expect(returns[1]).to.have.property('start', 0);
+    expect(returns[1]).to.have.property('end', 3);
+    expect(profiler.getEvents()).to.eql([
+      {name: 'inner', start: 1, duration: 2, depth: 2, outcome: 'returned'},
+      {name: 'outer', start: 0, duration: 3, depth: 1, outcome: 'returned'}
+    ]);
+
+    var phases = profiler.getTraceEvents().traceEvents.map(function(event) { return event.ph + event.name; });
+    expect(phases).to.eql(['Bouter', 'Binner', 'Einner', 'Eouter']);
+  });
+
+  test('Listeners can be removed', function() {
+    var first = sinon.spy(), second = sinon.spy();
+    var func = profiler.wrapFunction('func', function() {});
+    profiler.on('call', first).on('call', second);
+
+    profiler.off('call', first);
+    func();
+    profiler.off('call');
+    func();
+
+    sinon.assert.notCalled(first);
+    sinon.assert.calledOnce(second);
+  });
+
+  test('Listeners are not called while the profiler is stopped', function() {
+    var listener = sinon.spy(), func = profiler.wrapFunction('func', function() {});
+    profiler.on('call', listener);
+
+    profiler.stop();
+    func();
+    sinon.assert.notCalled(listener);
+  });
+
+  test('Only known events and function listeners are accepted', function() {
+    expect(function() { profiler.on('exit', function() {}); }).to.throwException(/Unknown event: exit/);
+    expect(function() { profiler.off('exit'); }).to.throwException(/Unknown event: exit/);
+    expect(function() { profiler.on('call', null); }).to.throwException(function(e) {
+      expect(e).to.be.a(TypeError);
+    });
+  });
+});
+
+var generators = (function() {
+  try {
+    return Function('tick', [
+      'return {',
+      '  range: function* range(n) { for (var i = 0; i < n; i++) { tick(1); yield i; } tick(1); },',
+      '  delegate: function* delegate(inner) { tick(5); yield* inner; },',
+      '  asyncRange: typeof Symbol.asyncIterator === "symbol" ?',
+      '    Function("tick", "return async function* asyncRange(n) { for (var i = 0; i < n; i++) { tick(1); yield i; } }")(tick) :',
+      '    null',
+      '};'
+    ].join('\n'));
+  } catch (e) {
+    return null;
+  }
+}());
+
+if (generators) {
+  suite('Generators', function() {
+    var clock, profiler, fixtures;
+    setup(function() {
+      clock = prfl.clocks.fake();
+      profiler = new Profiler({clock: clock});
+      fixtures = generators(clock.tick);
+    });
+
+    test('Generator functions are timed on every resumption', function() {
+      var range = profiler.wrapFunction('range', fixtures.range);
+      var values = [];
+      for (var iterator = range(3), result = iterator.next(); !result.done; result = iterator.next()) {
+        values.push(result.value);
+      }
+
+      expect(values).to.eql([0, 1, 2]);
+      var report = profiler.getReport().range;
+      expect(report.numCalls).to.be(4);
+      expect(report.totalTime.sum).to.be(4);
+      expect(report.numIterators).to.be(1);
+      expect(report.numYields).to.be(3);
+    });
+
+    test('The lifetime of iterators is recorded once they are done', function() {
+      var range = profiler.wrapFunction('range', fixtures.range);
+      var iterator = range(2);
+      clock.tick(10);
+      iterator.next();
+      expect(profiler.getReport().range.lifetime.numCalls).to.be(0);
+
+      iterator.next();
+      iterator.next();
+      expect(profiler.getReport().range.lifetime.sum).to.be(13);
+    });
+
+    test('Returning and throwing into iterators ends their lifetime', function() {
+      var range = profiler.wrapFunction('range', fixtures.range);
+      var returned = range(5), thrown = range(5);
+      returned.next();
+      thrown.next();
+
+      expect(returned.return(1)).to.eql({value: 1, done: true});
+      expect(function() { thrown.throw(Error('stop')); }).to.throwException(/stop/);
+
+      var report = profiler.getReport().range;
+      expect(report.numIterators).to.be(2);
+      expect(report.lifetime.numCalls).to.be(2);
+      expect(report.numThrows).to.be(1);
+    });
+
+    test('Wrapped iterators stay iterable', function() {
+      var range = profiler.wrapFunction('range', fixtures.range);
+      var iterator = range(2);
+
+      expect(iterator[Symbol.iterator]()).to.be(iterator);
+      expect(Array.from(iterator)).to.eql([0, 1]);
+      expect(profiler.getReport().range.numYields).to.be(2);
+    });
+
+    test('Self times stay correct when resumptions interleave with other wrapped calls', function() {
+      var range = profiler.wrapFunction('range', fixtures.range);
+      var delegate = profiler.wrapFunction('delegate', fixtures.delegate);
+      var consume = profiler.wrapFunction('consume', function(iterator) {
+        clock.tick(2);
+        return Array.from(iterator);
+      });
+
+      consume(delegate(range(2)));
+
+      var report = profiler.getReport();
+      expect(report.consume.totalTime.sum).to.be(10);
+      expect(report.consume.selfTime.sum).to.be(2);
+      expect(report.delegate.totalTime.sum).to.be(8);
+      expect(report.delegate.selfTime.sum).to.be(5);
+      expect(report.range.totalTime.sum).to.be(3);
+      expect(profiler.getCallTree().children.consume.children.delegate.children.range.calls).to.be(3);
+    });
+
+    test('Generators are not detected for the generator option set to false', function() {
+      var range = profiler.wrapFunction('range', fixtures.range, {generator: false});
+      Array.from(range(3));
+
+      var report = profiler.getReport().range;
+      expect(report.numCalls).to.be(1);
+      expect(report).not.to.have.property('numIterators');
+    });
+
+    test('The generator option tracks iterators returned by plain functions', function() {
+      var generate = profiler.wrapFunction('generate', function(n) {
+        return fixtures.range(n);
+      }, {generator: true});
+
+      Array.from(generate(2));
+      var report = profiler.getReport().generate;
+      expect(report.numYields).to.be(2);
+      expect(report.numCalls).to.be(4);
+    });
+
+    test('Functions not returning iterators are recorded with the generator option', function() {
+      var profiler = new Profiler({clock: clock, generator: true});
+      var add = profiler.wrapFunction('add', function(a, b) {
+        clock.tick(3);
+        return a + b;
+      });
+
+      expect(add(1, 2)).to.be(3);
+      var report = profiler.getReport().add;
+      expect(report.numCalls).to.be(1);
+      expect(report.totalTime.sum).to.be(3);
+      expect(report).not.to.have.property('numIterators');
+    });
+
+    test('Lifetimes belong to the session of creation, yields to the session of resumption', function() {
+      var range = profiler.wrapFunction('range', fixtures.range);
+      profiler.start('first');
+      var iterator = range(1);
+      profiler.start('second');
+      Array.from(iterator);
+
+      var first = profiler.getReport('first').range, second = profiler.getReport('second').range;
+      expect(first.numIterators).to.be(1);
+      expect(first.lifetime.numCalls).to.be(1);
+      expect(first.numCalls).to.be(0);
+      expect(second.numYields).to.be(1);
+      expect(second.numCalls).to.be(2);
+      expect(second.numIterators).to.be(0);
+    });
+
+    test('Iterators created while the profiler is stopped are not tracked', function() {
+      var range = profiler.wrapFunction('range', fixtures.range);
+      profiler.stop();
+      var iterator = range(2);
+      profiler.start();
+
+      Array.from(iterator);
+      expect(profiler.getReport()).to.eql({});
+    });
+
+    if (generators(function() {}).asyncRange) {
+      test('Async generators are timed on every resumption and report their async time', function() {
+        var asyncRange = profiler.wrapFunction('asyncRange', fixtures.asyncRange);
+        var iterator = asyncRange(2), values = [];
+
+        function next() {
+          return iterator.next().then(function(result) {
+            if (!result.done) {
+              values.push(result.value);
+              return next();
+            }
+          });
+        }
+
+        return next().then(function() {
+          expect(values).to.eql([0, 1]);
+          var report = profiler.getReport().asyncRange;
+          expect(report.numCalls).to.be(3);
+          expect(report.numYields).to.be(2);
+          expect(report.lifetime.numCalls).to.be(1);
+          expect(report.asyncTime.numCalls).to.be(3);
+        });
+      });
+
+      test('Rejected resumptions that are not handled stay unhandled', function() {
+        var error = new Error();
+        var fail = profiler.wrapFunction('fail', Function('return async function* fail(e) { throw e; }')());
+
+        fail(error).next();
+        return expectUnhandledRejection(error).then(function() {
+          expect(profiler.getReport().fail.lifetime.numCalls).to.be(1);
+        });
+      });
+    }
+  });
+}
+
+suite('Merging profiles', function() {
+  function createProfiler(times, options) {
+    var clock = prfl.clocks.fake(), profiler = new Profiler(Object.assign({clock: clock}, options));
+    var work = profiler.wrapFunction('work', function(time) {
+      clock.tick(time);
+      if (time < 0) {
+        throw RangeError();
+      }
+    });
+
+    times.forEach(function(time) {
+      try {
+        work(time);
+      } catch (e) {}
+    });
+    return profiler;
+  }
+
+  test('Transfer data holds a serialisable copy of the samples', function() {
+    var profiler = createProfiler([1, 2]);
+    var transfer = profiler.getTransfer('worker 1');
+
+    expect(transfer.version).to.be(prfl.transferVersion);
+    expect(transfer.source).to.be('worker 1');
+    expect(transfer.metadata).to.eql({clock: 'fake', unit: 'ms', storage: 'exact'});
+    expect(transfer.samples).to.eql(profiler.getSamples());
+    expect(transfer.samples.work.totalTimes).not.to.be(profiler.getSamples().work.totalTimes);
+  });
+
+  test('Transfer data is named after the process by default', function() {
+    expect(new Profiler().getTransfer().source).to.be('pid ' + process.pid);
+  });
+
+  test('Imported samples are merged into the report', function() {
+    var profiler = createProfiler([1]);
+    profiler['import'](createProfiler([2, 3, -1]).getTransfer('worker'));
+
+    var report = profiler.getReport().work;
+    expect(report.numCalls).to.be(4);
+    expect(report.totalTime.sum).to.be(5);
+    expect(report.numThrows).to.be(1);
+    expect(report.errorTypes).to.eql({RangeError: 1});
+  });
+
+  test('Reports keep a breakdown per imported source', function() {
+    var profiler = createProfiler([1]);
+    profiler['import'](createProfiler([2, 3]).getTransfer('a'));
+    profiler['import'](createProfiler([4]).getTransfer('b'));
+    profiler['import'](createProfiler([5]).getTransfer('a'));
+
+    var sources = profiler.getReport().work.sources;
+    expect(sources).to.only.have.keys('a', 'b');
+    expect(sources.a.numCalls).to.be(3);
+    expect(sources.a.totalTime.sum).to.be(10);
+    expect(sources.b.totalTime.sum).to.be(4);
+  });
+
+  test('Reports without imports have no breakdown', function() {
+    expect(createProfiler([1]).getReport().work).not.to.have.property('sources');
+  });
+
+  test('Samples are imported into the given session', function() {
+    var profiler = createProfiler([1]);
+    profiler.start('imports');
+    profiler['import'](createProfiler([2]).getTransfer(), 'default');
+
+    expect(profiler.getReport('default').work.numCalls).to.be(2);
+    expect(profiler.getReport('imports')).to.eql({});
+  });
+
+  test('Async, heap and bucket samples are imported', function() {
+    var heap = 0, clock = prfl.clocks.fake();
+    var source = new Profiler({clock: clock, memory: function() { return heap; }});
+    var func = source.wrapFunction('func', function() { heap += 10; }, {
+      key: function(thisArg, args) { return args[0]; }
+    });
+    func('a');
+    source.addAsyncSample('func', 5, true);
+
+    var profiler = new Profiler({clock: prfl.clocks.fake()});
+    profiler['import'](source.getTransfer());
+
+    var report = profiler.getReport().func;
+    expect(report.totalHeap.sum).to.be(10);
+    expect(report.asyncTime.sum).to.be(5);
+    expect(report.numSucceeded).to.be(1);
+    expect(report.buckets.a.numCalls).to.be(1);
+  });
+
+  test('Streaming samples are merged with combined statistics', function() {
+    var profiler = createProfiler([1, 2], {storage: 'streaming'});
+    profiler['import'](JSON.parse(JSON.stringify(createProfiler([3, 4, -6], {storage: 'streaming'}).getTransfer())));
+    profiler['import'](createProfiler([10]).getTransfer());
+
+    var report = profiler.getReport().work;
+    expect(report.numCalls).to.be(6);
+    expect(report.totalTime.sum).to.be(14);
+    expect(report.totalTime.min).to.be(-6);
+    expect(report.totalTime.max).to.be(10);
+    expect(report.totalTime.variance).to.be.within(22.2222, 22.2223);
+    expect(report.threw.totalTime.numCalls).to.be(1);
+  });
+
+  test('Streaming samples cannot be imported into exact storage', function() {
+    var transfer = createProfiler([1], {storage: 'streaming'}).getTransfer();
+    expect(function() { createProfiler([1])['import'](transfer); }).to.throwException(/streaming storage/);
+  });
+
+  test('Only transfer data of the current version and the same unit is imported', function() {
+    var profiler = new Profiler();
+    expect(function() { profiler['import']({version: 0, samples: {}}); }).to.throwException(/version/);
+    expect(function() {
+      profiler['import']({version: prfl.transferVersion, metadata: {unit: 'ns'}, samples: {}});
+    }).to.throwException(/measured in ns/);
+  });
+
+  test('Profiler.merge() combines profilers and transfer data', function() {
+    var merged = Profiler.merge(createProfiler([1]), createProfiler([2]).getTransfer('worker'));
+
+    expect(merged).to.be.a(Profiler);
+    var report = merged.getReport().work;
+    expect(report.numCalls).to.be(2);
+    expect(report.sources).to.only.have.keys('profile 0', 'worker');
+  });
+
+  test('Profiler.merge() uses streaming storage if any input does', function() {
+    var merged = Profiler.merge(createProfiler([1]), createProfiler([2], {storage: 'streaming'}));
+    expect(merged.options.storage).to.be('streaming');
+    expect(merged.getReport().work.totalTime.sum).to.be(3);
+  });
+
+  test('Profiler.merge() keeps the clock unit of the first input', function() {
+    var clock = {name: 'counter', unit: 'ns', now: function() { return 0; }};
+    var a = new Profiler({clock: clock}), b = new Profiler({clock: clock});
+    a.wrapFunction('work', function() {})();
+    b.wrapFunction('work', function() {})();
+
+    var merged = Profiler.merge(a.getTransfer('a'), b);
+    expect(merged.getMetadata()).to.eql({clock: 'counter', unit: 'ns'});
+    expect(merged.getReport().work.numCalls).to.be(2);
+    expect(Profiler.merge(b, a).getMetadata().unit).to.be('ns');
+    expect(function() { Profiler.merge(a, createProfiler([1])); }).to.throwException(/measured in ms/);
+  });
+});
+
+suite('StreamingSeries merging', function() {
+  test('Merged series have the statistics of all values', function() {
+    var a = new prfl.StreamingSeries(), b = new prfl.StreamingSeries();
+    [1, 2, 3].forEach(function(value) { a.push(value); });
+    [10, 20].forEach(function(value) { b.push(value); });
+
+    expect(a.merge(b)).to.be(5);
+    expect(a.sum).to.be(36);
+    expect([a.min, a.max]).to.eql([1, 20]);
+    expect(a.mean).to.be.within(7.1999, 7.2001);
+    expect(a.variance()).to.be.within(50.9599, 50.9601);
+    expect(a.reservoir.slice().sort(function(x, y) { return x - y; })).to.eql([1, 2, 3, 10, 20]);
+  });
+
+  test('Merged reservoirs keep their size', function() {
+    var a = new prfl.StreamingSeries(4), b = new prfl.StreamingSeries(4);
+    for (var i = 0; i < 10; i++) {
+      a.push(i);
+      b.push(i + 10);
+    }
+
+    a.merge(b);
+    expect(a.reservoir).to.have.length(4);
+    expect(a.length).to.be(20);
+  });
+
+  test('Merging empty series keeps the values', function() {
+    var a = new prfl.StreamingSeries(), b = new prfl.StreamingSeries();
+    b.push(5);
+
+    a.merge(b);
+    a.merge(new prfl.StreamingSeries());
+    expect([a.length, a.min, a.max, a.mean]).to.eql([1, 5, 5, 5]);
+  });
+});
+
+suite('Folded stacks', function() {
+  test('Call stacks are folded and weighted by self time in microseconds', function() {
+    var clock = prfl.clocks.fake(), profiler = new Profiler({clock: clock});
+    var api = {
+      parse: function() { clock.tick(2); api.tokenize(); },
+      tokenize: function() { clock.tick(0.5); }
+    };
+    profiler.wrapObject('api', api);
+
+    api.parse();
+    api.parse();
+    api.tokenize();
+
+    expect(profiler.getFoldedStacks()).to.be([
+      'api.parse 4000',
+      'api.parse;api.tokenize 1000',
+      'api.tokenize 500',
+      ''
+    ].join('\n'));
+  });
+
+  test('Stacks without self time are omitted', function() {
+    var clock = prfl.clocks.fake(), profiler = new Profiler({clock: clock});
+    var inner = profiler.wrapFunction('inner', function() { clock.tick(1); });
+    profiler.wrapFunction('outer', function() { inner(); })();
+
+    expect(profiler.getFoldedStacks()).to.be('outer;inner 1000\n');
+  });
+
+  test('Semicolons in names are replaced', function() {
+    var clock = prfl.clocks.fake(), profiler = new Profiler({clock: clock});
+    profiler.wrapFunction('a;b', function() { clock.tick(1); })();
+
+    expect(profiler.getFoldedStacks()).to.be('a,b 1000\n');
+  });
+
+  test('Folded stacks of an empty session are empty', function() {
+    expect(new Profiler().getFoldedStacks()).to.be('');
+  });
+
+  test('Folded stacks are read from the given session', function() {
+    var clock = prfl.clocks.fake(), profiler = new Profiler({clock: clock});
+    var func = profiler.wrapFunction('func', function() { clock.tick(1); });
+    func();
+    profiler.start('other');
+
+    expect(profiler.getFoldedStacks('other')).to.be('');
+    expect(profiler.getFoldedStacks('default')).to.be('func 1000\n');
+  });
+
+  test('Folded stacks convert self times from the unit of the clock', function() {
+    var clock = prfl.clocks.fake(), profiler = new Profiler({clock: {unit: 'ns', now: clock.now}});
+    profiler.wrapFunction('func', function() { clock.tick(5000); })();
+
+    expect(profiler.getFoldedStacks()).to.be('func 5\n');
+  });
+
+  test('Folded stacks of clocks not measuring time hold the raw self times', function() {
+    var clock = prfl.clocks.fake(), profiler = new Profiler({clock: {unit: 'ticks', now: clock.now}});
+    profiler.wrapFunction('func', function() { clock.tick(7); })();
+
+    expect(profiler.getFoldedStacks()).to.be('func 7\n');
+  });
 });
@@ -0,0 +1,212 @@
+var expect = require('expect.js');
+var prfl = require('../src/prfl');
+
+function statistics(sum, numCalls) {
+  return {numCalls: numCalls, sum: sum, mean: sum / numCalls, median: sum / numCalls};
+}
+
+function entry(numCalls, selfSum, totalSum) {
+  return {
+    numCalls: numCalls,
+    selfTime: statistics(selfSum, numCalls),
+    totalTime: statistics(totalSum, numCalls)
+  };
+}
+
+var report = {
+  'main': entry(1, 1, 10),
+  'Foo.create': entry(2, 2, 2),
+  'Foo.prototype.bar': entry(10, 5, 5),
+  'Foo.prototype.baz [get]': entry(4, 0.5, 0.5),
+  'lib.util.helper': entry(3, 1.5, 1.5)
+};
+
+function rowNames(text) {
+  return text.split('\n').slice(2).filter(function(line) {
+    return line && !/^Times in/.test(line);
+  }).map(function(line) {
+    return line.replace(/\s+\d.*$/, '');
+  });
+}
+
+suite('renderText()', function() {
+  test('renders a header and one row per function', function() {
+    var lines = prfl.renderText(report, {group: false}).split('\n');
+    expect(lines[0]).to.match(/^Function\s+Calls\s+Self sum/);
+    expect(lines[1]).to.match(/^-+$/);
+    expect(rowNames(prfl.renderText(report, {group: false}))).to.have.length(5);
+  });
+
+  test('sorts by self time sum in descending order by default', function() {
+    expect(rowNames(prfl.renderText(report, {group: false}))).to.eql([
+      'Foo.prototype.bar', 'Foo.create', 'lib.util.helper', 'main', 'Foo.prototype.baz [get]'
+    ]);
+  });
+
+  test('sorts by configurable keys and order', function() {
+    expect(rowNames(prfl.renderText(report, {group: false, sortBy: 'numCalls', order: 'asc'}))).to.eql([
+      'main', 'Foo.create', 'lib.util.helper', 'Foo.prototype.baz [get]', 'Foo.prototype.bar'
+    ]);
+    expect(rowNames(prfl.renderText(report, {group: false, sortBy: 'totalTime.mean'}))[0]).to.be('main');
+  });
+
+  test('limits the output to the top N functions', function() {
+    expect(rowNames(prfl.renderText(report, {group: false, limit: 2}))).to.eql(['Foo.prototype.bar', 'Foo.create']);
+  });
+
+  test('omits functions below the threshold of the sort key', function() {
+    expect(rowNames(prfl.renderText(report, {group: false, threshold: 1.5}))).to.eql([
+      'Foo.prototype.bar', 'Foo.create', 'lib.util.helper'
+    ]);
+  });
+
+  test('groups dotted names per object or constructor', function() {
+    expect(rowNames(prfl.renderText(report))).to.eql([
+      'Foo', '  prototype.bar', '  create', '  prototype.baz [get]',
+      'lib.util', '  helper',
+      'main'
+    ]);
+  });
+
+  test('formats times with a configurable precision', function() {
+    var text = prfl.renderText({func: entry(1, 1.23456, 2)}, {precision: 1});
+    expect(text).to.contain(' 1.2 ');
+    expect(text).not.to.contain('1.23');
+  });
+
+  test('renders missing statistics as dashes', function() {
+    expect(prfl.renderText({func: {numCalls: 0, selfTime: {}, totalTime: {}}})).to.match(/func\s+0\s+-\s+-/);
+  });
+
+  test('names the time unit', function() {
+    expect(prfl.renderText(report)).to.contain('Times in ms');
+    expect(prfl.renderText(report, {unit: 'µs'})).to.contain('Times in µs');
+  });
+
+  test('takes the time unit from profiler metadata', function() {
+    var metadata = {clock: 'ticks', unit: 'ticks'};
+    expect(prfl.renderText(report, {metadata: metadata})).to.contain('Times in ticks');
+    expect(prfl.renderText(report, {metadata: metadata, unit: 'µs'})).to.contain('Times in µs');
+  });
+});
+
+suite('renderHtml()', function() {
+  test('renders a complete HTML document', function() {
+    var html = prfl.renderHtml(report);
+    expect(html).to.match(/^<!DOCTYPE html>/);
+    expect(html).to.contain('</html>');
+  });
+
+  test('renders one table row per function with group and label', function() {
+    var html = prfl.renderHtml(report);
+    expect(html.match(/<tr>/g)).to.have.length(6);
+    expect(html).to.contain('<td>Foo</td><td title="Foo.prototype.bar">prototype.bar</td>');
+  });
+
+  test('keeps numeric values for sorting', function() {
+    expect(prfl.renderHtml(report)).to.contain('data-value="10"');
+  });
+
+  test('embeds a valid script for sorting columns', function() {
+    var html = prfl.renderHtml(report);
+    var script = html.split('<script>')[1].split('</script>')[0];
+    expect(function() { Function(script); }).not.to.throwException();
+  });
+
+  test('escapes function names', function() {
+    var html = prfl.renderHtml({'<b>': entry(1, 1, 1)});
+    expect(html).to.contain('&lt;b&gt;');
+    expect(html).not.to.contain('<b>');
+  });
+
+  test('applies sorting, limit and threshold options', function() {
+    expect(prfl.renderHtml(report, {limit: 1}).match(/<tr>/g)).to.have.length(2);
+  });
+
+  test('takes the time unit from profiler metadata', function() {
+    expect(prfl.renderHtml(report)).to.contain('<p>Times in ms</p>');
+    expect(prfl.renderHtml(report, {metadata: {unit: 'ticks'}})).to.contain('<p>Times in ticks</p>');
+  });
+
+  test('renders a collapsible call tree', function() {
+    var profiler = new prfl.Profiler();
+    var inner = profiler.wrapFunction('inner', function() {});
+    profiler.wrapFunction('outer', function() { inner(); })();
+
+    var html = prfl.renderHtml(profiler.getReport(), {callTree: profiler.getCallTree()});
+    expect(html).to.match(/<details><summary>outer .*<\/summary><ul><li class="leaf">inner /);
+  });
+});
+
+suite('renderFlameGraph()', function() {
+  var folded = [
+    'api.parse 2000',
+    'api.parse;api.tokenize 3000',
+    'api.render;api.tokenize 3000',
+    ''
+  ].join('\n');
+
+  function frames(svg) {
+    var pattern = /<g class="frame" data-name="([^"]*)"[^>]*data-x="([^"]*)" data-width="([^"]*)" data-depth="(\d+)"/g;
+    var result = [], match;
+    while ((match = pattern.exec(svg))) {
+      result.push({name: match[1], x: Number(match[2]), width: Number(match[3]), depth: Number(match[4])});
+    }
+    return result;
+  }
+
+  test('renders a standalone SVG document', function() {
+    var svg = prfl.renderFlameGraph(folded);
+    expect(svg).to.match(/^<\?xml /);
+    expect(svg).to.contain('<svg xmlns="http://www.w3.org/2000/svg"');
+    expect(svg).to.match(/<\/svg>\n$/);
+  });
+
+  test('renders one frame per stack entry, sized by weight', function() {
+    expect(frames(prfl.renderFlameGraph(folded))).to.eql([
+      {name: 'all', x: 0, width: 1, depth: 0},
+      {name: 'api.parse', x: 0, width: 0.625, depth: 1},
+      {name: 'api.tokenize', x: 0, width: 0.375, depth: 2},
+      {name: 'api.render', x: 0.625, width: 0.375, depth: 1},
+      {name: 'api.tokenize', x: 0.625, width: 0.375, depth: 2}
+    ]);
+  });
+
+  test('adds hover details with weight and percentage', function() {
+    var svg = prfl.renderFlameGraph(folded);
+    expect(svg).to.contain('<title>api.parse (5000 µs, 62.50%)</title>');
+    expect(svg).to.contain('<text id="details"');
+  });
+
+  test('embeds a valid script for zooming', function() {
+    var svg = prfl.renderFlameGraph(folded);
+    var script = svg.split('<![CDATA[')[1].split(']]>')[0];
+    expect(function() { Function(script); }).not.to.throwException();
+  });
+
+  test('escapes names and the title', function() {
+    var svg = prfl.renderFlameGraph('a<b>&"c" 10\n', {title: '<flames>'});
+    expect(svg).to.contain('data-name="a&lt;b&gt;&amp;&quot;c&quot;"');
+    expect(svg).to.contain('<text id="title" x="600" y="24">&lt;flames&gt;</text>');
+  });
+
+  test('omits frames narrower than the minimum width', function() {
+    var svg = prfl.renderFlameGraph('big 100000\nsmall 1\n', {width: 120});
+    expect(frames(svg).map(function(frame) { return frame.name; })).to.eql(['all', 'big']);
+  });
+
+  test('ignores empty and malformed lines', function() {
+    expect(frames(prfl.renderFlameGraph('\nno-weight\nzero 0\na 1\n'))).to.have.length(2);
+  });
+
+  test('applies width, frame height and unit options', function() {
+    var svg = prfl.renderFlameGraph('a 1\n', {width: 500, frameHeight: 20, unit: 'samples'});
+    expect(svg).to.contain('width="500" height="120"');
+    expect(svg).to.contain('a (1 samples, 100.00%)');
+  });
+
+  test('takes the unit from the metadata of the profiler', function() {
+    expect(prfl.renderFlameGraph('a 1\n', {metadata: {unit: 'ns'}})).to.contain('a (1 \u00b5s, 100.00%)');
+    expect(prfl.renderFlameGraph('a 1\n', {metadata: {unit: 'ticks'}})).to.contain('a (1 ticks, 100.00%)');
+  });
+});
@@ -0,0 +1,52 @@
+var expect = require('expect.js');
+var StreamingSeries = require('../src/prfl').StreamingSeries;
+
+suite('StreamingSeries', function() {
+  test('is empty when created', function() {
+    var series = new StreamingSeries();
+    expect(series.length).to.be(0);
+    expect(series.min).to.be(void 0);
+    expect(series.max).to.be(void 0);
+    expect(series.variance()).to.be(void 0);
+  });
+
+  test('push() returns the new length like Array#push', function() {
+    var series = new StreamingSeries();
+    expect(series.push(1)).to.be(1);
+    expect(series.push(2)).to.be(2);
+    expect(series.length).to.be(2);
+  });
+
+  test('keeps count, sum, min, max and mean', function() {
+    var series = new StreamingSeries();
+    [3, 5, 2, 1, 0, 2, 2, 5].forEach(function(value) { series.push(value); });
+
+    expect(series.length).to.be(8);
+    expect(series.sum).to.be(20);
+    expect(series.min).to.be(0);
+    expect(series.max).to.be(5);
+    expect(series.mean).to.be.within(2.5 - 1e-9, 2.5 + 1e-9);
+  });
+
+  test('computes the population variance online', function() {
+    var series = new StreamingSeries();
+    [2, 4, 4, 4, 5, 5, 7, 9].forEach(function(value) { series.push(value); });
+    expect(series.variance()).to.be(4);
+  });
+
+  test('keeps all values in the reservoir until it is full', function() {
+    var series = new StreamingSeries(4);
+    [1, 2, 3].forEach(function(value) { series.push(value); });
+    expect(series.reservoir).to.eql([1, 2, 3]);
+  });
+
+  test('never grows the reservoir beyond its size', function() {
+    var series = new StreamingSeries(16);
+    for (var i = 0; i < 10000; i++) {
+      series.push(i);
+    }
+
+    expect(series.length).to.be(10000);
+    expect(series.reservoir).to.have.length(16);
+  });
+});